@@ -0,0 +1,162 @@
+// -------------------- Calendar --------------------
+// Months, quarters and years for period ranges, chart buckets and comparisons. All dates are
+// UTC days. A calendar is { type, startMonth, weekStart } (see getCalendar in main.js):
+//   'gregorian'           - calendar months; quarters and the fiscal year begin in startMonth
+//   '445' | '454' | '544' - retail calendar of whole weeks. The fiscal year starts on the
+//                           weekStart day nearest to the 1st of startMonth, so it has 52 or
+//                           53 weeks. Quarters are 13 weeks split into months by the pattern;
+//                           the 53rd week is added to the last month.
+
+export const CALENDAR_TYPES = ['gregorian', '445', '454', '544'];
+
+const RETAIL_PATTERNS = { 445: [4, 4, 5], 454: [4, 5, 4], 544: [5, 4, 4] };
+const UNIT_MONTHS = { month: 1, quarter: 3, year: 12 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+export function isRetailCalendar(calendar) {
+  return Boolean(RETAIL_PATTERNS[calendar.type]);
+}
+
+// Shift a date by whole months, clamping to the last day of the target month
+// (e.g. Mar 31 -> Feb 28/29 instead of overflowing into March)
+export function shiftUTCMonths(date, months) {
+  const shifted = new Date(date);
+  const day = shifted.getUTCDate();
+  shifted.setUTCDate(1);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 0)).getUTCDate();
+  shifted.setUTCDate(Math.min(day, lastDay));
+  return shifted;
+}
+
+export function shiftUTCDays(date, days) {
+  const shifted = new Date(date);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted;
+}
+
+function startOfUTCDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+// Month, quarter or fiscal year of the Gregorian calendar containing date
+function getGregorianPeriod(date, unit, calendar) {
+  const months = UNIT_MONTHS[unit];
+  const offset = unit === 'month' ? 0 : calendar.startMonth;
+  const monthIndex = date.getUTCFullYear() * 12 + date.getUTCMonth();
+  const startIndex = monthIndex - (((monthIndex - offset) % months) + months) % months;
+  const year = Math.floor(startIndex / 12);
+  const month = startIndex % 12;
+  return {
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + months, 1) - 1)
+  };
+}
+
+// First day of the retail year that starts around startMonth of the given year
+function getRetailYearStart(year, calendar) {
+  const anchor = Date.UTC(year, calendar.startMonth, 1);
+  let daysBack = (new Date(anchor).getUTCDay() - calendar.weekStart + 7) % 7;
+  if (daysBack > 3) daysBack -= 7; // The following week start is nearer
+  return new Date(anchor - daysBack * DAY_MS);
+}
+
+// Retail year containing date: { start, end, weeks } (52 or 53 weeks)
+function getRetailYear(date, calendar) {
+  let year = date.getUTCFullYear() + 1;
+  while (getRetailYearStart(year, calendar) > date) year--;
+  const start = getRetailYearStart(year, calendar);
+  const next = getRetailYearStart(year + 1, calendar);
+  return { start, end: new Date(next - 1), weeks: Math.round((next - start) / WEEK_MS) };
+}
+
+// The twelve months of a retail year, by the calendar's week pattern
+function getRetailMonths(fiscalYear, calendar) {
+  const pattern = RETAIL_PATTERNS[calendar.type];
+  const months = [];
+  let start = fiscalYear.start;
+  for (let i = 0; i < 12; i++) {
+    const weeks = pattern[i % 3] + (i === 11 ? fiscalYear.weeks - 52 : 0);
+    const next = shiftUTCDays(start, weeks * 7);
+    months.push({ start, end: new Date(next - 1) });
+    start = next;
+  }
+  return months;
+}
+
+function getRetailPeriod(date, unit, calendar) {
+  const fiscalYear = getRetailYear(date, calendar);
+  if (unit === 'year') return { start: fiscalYear.start, end: fiscalYear.end };
+
+  const months = getRetailMonths(fiscalYear, calendar);
+  const index = months.findIndex(month => date <= month.end);
+  if (unit === 'month') return months[index];
+
+  const first = Math.floor(index / 3) * 3;
+  return { start: months[first].start, end: months[first + 2].end };
+}
+
+// Month, quarter or year ('month' | 'quarter' | 'year') containing date: { start, end }
+export function getPeriodRange(date, unit, calendar) {
+  return isRetailCalendar(calendar)
+    ? getRetailPeriod(date, unit, calendar)
+    : getGregorianPeriod(date, unit, calendar);
+}
+
+// The period `count` periods away from the one containing date (negative = earlier)
+export function getAdjacentPeriod(date, unit, count, calendar) {
+  let period = getPeriodRange(date, unit, calendar);
+  for (let i = 0; i < Math.abs(count); i++) {
+    const next = count < 0 ? new Date(period.start - 1) : new Date(period.end.getTime() + 1);
+    period = getPeriodRange(next, unit, calendar);
+  }
+  return period;
+}
+
+// Whether a range covers whole months of the calendar (e.g. "last full month", a full quarter)
+function isWholeMonths(range, calendar) {
+  return getPeriodRange(range.start, 'month', calendar).start.getTime() === range.start.getTime() &&
+    getPeriodRange(range.end, 'month', calendar).end.getTime() === range.end.getTime();
+}
+
+// Shift a range by whole months, quarters or years. Whole months map to whole months, so a
+// full February compares with all of January. Otherwise, Gregorian: by calendar months (month
+// ends clamp, Mar 31 -> Feb 29). Retail: to the same position in the other period, i.e. the
+// same fiscal week and weekday. A range end past the end of a shorter period (a 5-week month
+// against a 4-week one) clamps to its end; a range that starts past it (the 53rd week)
+// compares with the same number of days at the end of the shorter period.
+export function shiftRange(range, unit, count, calendar) {
+  if (isWholeMonths(range, calendar)) {
+    const months = UNIT_MONTHS[unit] * count;
+    return {
+      start: getAdjacentPeriod(range.start, 'month', months, calendar).start,
+      end: getAdjacentPeriod(range.end, 'month', months, calendar).end
+    };
+  }
+
+  if (!isRetailCalendar(calendar)) {
+    const months = UNIT_MONTHS[unit] * count;
+    return { start: shiftUTCMonths(range.start, months), end: shiftUTCMonths(range.end, months) };
+  }
+
+  const period = getPeriodRange(range.start, unit, calendar);
+  const target = getAdjacentPeriod(range.start, unit, count, calendar);
+  const offset = target.start - period.start;
+  const start = new Date(range.start.getTime() + offset);
+  const end = new Date(range.end.getTime() + offset);
+
+  if (start > target.end) {
+    const length = range.end - range.start;
+    return { start: new Date(Math.max(target.start, startOfUTCDay(new Date(target.end - length)))), end: target.end };
+  }
+  return { start, end: range.end <= period.end && end > target.end ? target.end : end };
+}
+
+// Week of the fiscal year (1-based) containing date
+export function getFiscalWeek(date, calendar) {
+  const year = getPeriodRange(date, 'year', calendar);
+  return Math.floor((startOfUTCDay(date) - year.start) / WEEK_MS) + 1;
+}
@@ -0,0 +1,365 @@
+import './style.css';
+import { SETTINGS_KEYS, DISPLAY_DEFAULTS, COMPARISON_IDS, DATA_ACCESS_MODES, PARAMETER_BINDINGS, NEUTRAL_MODES, readDisplaySettings, readParameterBindings, readMetricFormats, readNeutralBands } from './settings.js';
+import { VALUE_FORMATS } from './format.js';
+import { LANGUAGES, LANGUAGE_NAMES, resolveLanguage, setLanguage, getLocale, t, applyTranslations } from './i18n.js';
+import { applyTheme, readWorkbookFormatting } from './theme.js';
+
+// -------------------- Configure Dialog --------------------
+// Opened by main.js via tableau.extensions.ui.displayDialogAsync. Writes extension
+// settings and closes with 'saved' so the card re-reads them.
+
+const DEFAULT_COMPARISONS = ['prevYear', 'prevMonth'];
+
+function readComparisons(settings) {
+  try {
+    const comparisons = JSON.parse(settings.get(SETTINGS_KEYS.comparisons) || 'null');
+    if (Array.isArray(comparisons)) {
+      return comparisons.filter(id => COMPARISON_IDS.includes(id));
+    }
+  } catch (e) {
+    // Fall through to defaults
+  }
+  return DEFAULT_COMPARISONS;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// One row per metric: format, decimals and compact overrides ('' = use the defaults above)
+function renderMetricFormats(settings, metrics) {
+  const container = document.getElementById('config-metric-formats');
+  if (metrics.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const formats = readMetricFormats(settings);
+  const option = (value, label, selected) => `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+  container.innerHTML = `
+    <div class="config-subtitle">${t('config.perMetric')}</div>
+    ${metrics.map(name => {
+      const override = formats[name] || {};
+      const compact = override.compact === undefined ? '' : String(override.compact);
+      return `
+        <div class="config-row config-metric-format" data-metric="${escapeHtml(name)}">
+          <span class="config-label">${escapeHtml(name)}</span>
+          <span class="config-inline">
+            <select class="control-select" data-format="format">
+              ${VALUE_FORMATS.map(id => option(id, t(`config.format.${id}`), (override.format || 'auto') === id)).join('')}
+            </select>
+            <select class="control-select" data-format="decimals" title="${t('config.decimals')}">
+              ${option('', t('config.default'), override.decimals === undefined)}
+              ${[0, 1, 2, 3].map(d => option(d, t('config.decimalsShort', { count: d }), override.decimals === d)).join('')}
+            </select>
+            <select class="control-select" data-format="compact" title="${t('config.compact')}">
+              ${option('', t('config.default'), compact === '')}
+              ${option('true', t('config.compactOn'), compact === 'true')}
+              ${option('false', t('config.compactOff'), compact === 'false')}
+            </select>
+          </span>
+        </div>`;
+    }).join('')}
+  `;
+}
+
+// One row per metric: neutral band size and unit ('' = use the default band above)
+function renderNeutralBands(settings, metrics) {
+  const container = document.getElementById('config-neutral-bands');
+  if (metrics.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const bands = readNeutralBands(settings);
+  container.innerHTML = `
+    <div class="config-subtitle">${t('config.perMetric')}</div>
+    ${metrics.map(name => {
+      const band = bands[name] || {};
+      return `
+        <div class="config-row config-neutral-band" data-metric="${escapeHtml(name)}">
+          <span class="config-label">${escapeHtml(name)}</span>
+          <span class="config-inline">
+            <input type="number" class="control-input-number" data-band="value" min="0" step="any"
+              value="${band.value ?? ''}" placeholder="${t('config.default')}">
+            <select class="control-select" data-band="mode">
+              <option value="" ${band.mode ? '' : 'selected'}>${t('config.default')}</option>
+              ${NEUTRAL_MODES.map(mode => `<option value="${mode}" ${band.mode === mode ? 'selected' : ''}>${t(`config.neutralMode.${mode}`)}</option>`).join('')}
+            </select>
+          </span>
+        </div>`;
+    }).join('')}
+  `;
+}
+
+// Parameter selects: one per bindable control plus the anchor date
+function renderParameterBindings(settings, parameters) {
+  const bindings = readParameterBindings(settings);
+  const anchorParameter = settings.get(SETTINGS_KEYS.anchorMode) === 'parameter'
+    ? settings.get(SETTINGS_KEYS.anchorParameter) || ''
+    : '';
+  const rows = [
+    ...Object.entries(PARAMETER_BINDINGS).map(([key, binding]) => ({ key, ...binding, value: bindings[key] || '' })),
+    { key: 'anchorDate', dataTypes: ['date', 'date-time'], value: anchorParameter }
+  ];
+
+  document.getElementById('config-parameter-bindings').innerHTML = rows.map(row => {
+    const options = parameters
+      .filter(p => row.dataTypes.includes(p.dataType))
+      .map(p => `<option value="${escapeHtml(p.name)}" ${p.name === row.value ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+      .join('');
+    return `
+      <label class="config-row">
+        <span class="config-label">${t(`config.binding.${row.key}`)}</span>
+        <select class="control-select" data-binding="${row.key}">
+          <option value="">${t('config.notBound')}</option>
+          ${options}
+        </select>
+      </label>
+    `;
+  }).join('');
+}
+
+// Fill the form with the saved settings
+function populateForm(settings, parameters, metrics) {
+  const period = settings.get(SETTINGS_KEYS.selectedPeriod) || 'rolling';
+  const granularity = settings.get(SETTINGS_KEYS.granularity) || 'days';
+  const periodSelect = document.getElementById('config-period');
+  periodSelect.value = `${period}|${granularity}`;
+  if (periodSelect.selectedIndex === -1) periodSelect.value = 'rolling|days';
+
+  document.getElementById('config-week-start').value = settings.get(SETTINGS_KEYS.weekStart) || 'monday';
+  document.getElementById('config-rolling-count').value = settings.get(SETTINGS_KEYS.rollingCount) || 30;
+  document.getElementById('config-custom-start').value = settings.get(SETTINGS_KEYS.customStart) || '';
+  document.getElementById('config-custom-end').value = settings.get(SETTINGS_KEYS.customEnd) || '';
+  document.getElementById('config-compare-start').value = settings.get(SETTINGS_KEYS.compareStart) || '';
+  document.getElementById('config-compare-end').value = settings.get(SETTINGS_KEYS.compareEnd) || '';
+
+  const comparisons = readComparisons(settings);
+  document.getElementById('config-comparisons').innerHTML = COMPARISON_IDS.map(id => `
+    <label class="config-row">
+      <span class="config-label">${t(`comparison.${id}.label`)} <span class="config-hint">${t(`comparison.${id}.title`)}</span></span>
+      <input type="checkbox" value="${id}" ${comparisons.includes(id) ? 'checked' : ''}>
+    </label>
+  `).join('');
+
+  const display = readDisplaySettings(settings);
+  const languageSelect = document.getElementById('config-language');
+  languageSelect.innerHTML = [
+    `<option value="auto">${t('config.languageAuto')}</option>`,
+    ...LANGUAGES.map(id => `<option value="${id}">${LANGUAGE_NAMES[id]}</option>`)
+  ].join('');
+  languageSelect.value = display.language;
+
+  // Month names in the dialog's language
+  const monthName = new Intl.DateTimeFormat(getLocale(), { month: 'long', timeZone: 'UTC' });
+  const fiscalMonthSelect = document.getElementById('config-fiscal-start-month');
+  fiscalMonthSelect.innerHTML = Array.from({ length: 12 }, (_, month) =>
+    `<option value="${month}">${monthName.format(Date.UTC(2000, month, 1))}</option>`).join('');
+  fiscalMonthSelect.value = String(display.fiscalStartMonth);
+  document.getElementById('config-fiscal-calendar').value = display.fiscalCalendar;
+  document.getElementById('config-decimals').value = String(display.decimals);
+  document.getElementById('config-compact').checked = display.compactNumbers;
+  document.getElementById('config-currency').value = display.currency;
+  document.getElementById('config-negative-style').value = display.negativeStyle;
+  document.getElementById('config-tableau-format').checked = display.useTableauFormat;
+  renderMetricFormats(settings, metrics);
+  document.getElementById('config-theme').value = display.theme;
+  if (display.themeBackground) document.getElementById('config-theme-background').value = display.themeBackground;
+  if (display.themeText) document.getElementById('config-theme-text').value = display.themeText;
+  if (display.themeReference) document.getElementById('config-theme-reference').value = display.themeReference;
+  document.getElementById('config-custom-colors').checked = Boolean(display.positiveColor || display.negativeColor || display.neutralColor);
+  if (display.positiveColor) document.getElementById('config-positive-color').value = display.positiveColor;
+  if (display.negativeColor) document.getElementById('config-negative-color').value = display.negativeColor;
+  if (display.neutralColor) document.getElementById('config-neutral-color').value = display.neutralColor;
+  document.getElementById('config-neutral-threshold').value = display.neutralThreshold;
+  document.getElementById('config-neutral-mode').value = display.neutralMode;
+  renderNeutralBands(settings, metrics);
+  document.getElementById('config-forecast').value = display.forecast;
+  document.getElementById('config-incomplete-periods').value = display.incompletePeriods;
+  document.getElementById('config-yoy-alignment').value = display.yoyAlignment;
+  document.getElementById('config-layout').value = display.layout;
+  document.getElementById('config-columns').value = display.columns;
+  document.getElementById('config-show-charts').checked = display.showCharts;
+  document.getElementById('config-chart-reference').value = display.chartReference;
+  document.getElementById('config-chart-reference2').value = display.chartReference2;
+  document.getElementById('config-cumulative-charts').checked = display.cumulativeCharts;
+  document.getElementById('config-card-sort').value = display.cardSort;
+  document.getElementById('config-card-grouping').value = display.cardGrouping;
+  document.getElementById('config-detail-limit').value = display.detailLimit;
+  document.getElementById('config-show-others').checked = display.showOthers;
+  document.getElementById('config-viewer-controls').checked = display.allowViewerControls;
+  document.getElementById('config-click-action').value = display.clickAction;
+
+  const dataAccessMode = settings.get(SETTINGS_KEYS.dataAccessMode);
+  document.getElementById('config-data-access').value = DATA_ACCESS_MODES.includes(dataAccessMode) ? dataAccessMode : 'summary';
+
+  renderParameterBindings(settings, parameters);
+  updateColorInputs();
+  updateThemeInputs();
+}
+
+function updateColorInputs() {
+  const enabled = document.getElementById('config-custom-colors').checked;
+  document.getElementById('config-positive-color').disabled = !enabled;
+  document.getElementById('config-negative-color').disabled = !enabled;
+  document.getElementById('config-neutral-color').disabled = !enabled;
+}
+
+// Theme colors only apply to the custom palette
+function updateThemeInputs() {
+  const custom = document.getElementById('config-theme').value === 'custom';
+  ['config-theme-background', 'config-theme-text', 'config-theme-reference'].forEach(id => {
+    document.getElementById(id).disabled = !custom;
+  });
+}
+
+// Copy the form into settings (not yet saved)
+function applyForm(settings) {
+  const [period, granularity] = document.getElementById('config-period').value.split('|');
+  settings.set(SETTINGS_KEYS.selectedPeriod, period);
+  settings.set(SETTINGS_KEYS.granularity, granularity);
+  settings.set(SETTINGS_KEYS.weekStart, document.getElementById('config-week-start').value);
+
+  const rollingCount = Math.max(4, Math.min(30, parseInt(document.getElementById('config-rolling-count').value) || 30));
+  settings.set(SETTINGS_KEYS.rollingCount, String(rollingCount));
+  settings.set(SETTINGS_KEYS.customStart, document.getElementById('config-custom-start').value);
+  settings.set(SETTINGS_KEYS.customEnd, document.getElementById('config-custom-end').value);
+  settings.set(SETTINGS_KEYS.compareStart, document.getElementById('config-compare-start').value);
+  settings.set(SETTINGS_KEYS.compareEnd, document.getElementById('config-compare-end').value);
+
+  const comparisons = Array.from(document.querySelectorAll('#config-comparisons input:checked')).map(c => c.value);
+  settings.set(SETTINGS_KEYS.comparisons, JSON.stringify(comparisons));
+
+  const customColors = document.getElementById('config-custom-colors').checked;
+  const theme = document.getElementById('config-theme').value;
+  const display = {
+    ...DISPLAY_DEFAULTS,
+    decimals: parseInt(document.getElementById('config-decimals').value),
+    compactNumbers: document.getElementById('config-compact').checked,
+    currency: document.getElementById('config-currency').value.trim().toUpperCase(),
+    negativeStyle: document.getElementById('config-negative-style').value,
+    useTableauFormat: document.getElementById('config-tableau-format').checked,
+    positiveColor: customColors ? document.getElementById('config-positive-color').value : '',
+    negativeColor: customColors ? document.getElementById('config-negative-color').value : '',
+    neutralColor: customColors ? document.getElementById('config-neutral-color').value : '',
+    neutralMode: document.getElementById('config-neutral-mode').value,
+    neutralThreshold: Math.max(0, parseFloat(document.getElementById('config-neutral-threshold').value) || 0),
+    theme,
+    themeBackground: theme === 'custom' ? document.getElementById('config-theme-background').value : '',
+    themeText: theme === 'custom' ? document.getElementById('config-theme-text').value : '',
+    themeReference: theme === 'custom' ? document.getElementById('config-theme-reference').value : '',
+    fiscalStartMonth: parseInt(document.getElementById('config-fiscal-start-month').value) || 0,
+    fiscalCalendar: document.getElementById('config-fiscal-calendar').value,
+    forecast: document.getElementById('config-forecast').value,
+    incompletePeriods: document.getElementById('config-incomplete-periods').value,
+    yoyAlignment: document.getElementById('config-yoy-alignment').value,
+    layout: document.getElementById('config-layout').value,
+    columns: document.getElementById('config-columns').value,
+    showCharts: document.getElementById('config-show-charts').checked,
+    chartReference: document.getElementById('config-chart-reference').value,
+    chartReference2: document.getElementById('config-chart-reference2').value,
+    cumulativeCharts: document.getElementById('config-cumulative-charts').checked,
+    cardSort: document.getElementById('config-card-sort').value,
+    cardGrouping: document.getElementById('config-card-grouping').value,
+    detailLimit: Math.max(0, parseInt(document.getElementById('config-detail-limit').value) || 0),
+    showOthers: document.getElementById('config-show-others').checked,
+    allowViewerControls: document.getElementById('config-viewer-controls').checked,
+    clickAction: document.getElementById('config-click-action').value,
+    language: document.getElementById('config-language').value
+  };
+  settings.set(SETTINGS_KEYS.display, JSON.stringify(display));
+
+  // Keep overrides of metrics not on the sheet right now
+  const metricFormats = readMetricFormats(settings);
+  document.querySelectorAll('.config-metric-format').forEach(row => {
+    const override = {};
+    const format = row.querySelector('[data-format="format"]').value;
+    const decimals = row.querySelector('[data-format="decimals"]').value;
+    const compact = row.querySelector('[data-format="compact"]').value;
+    if (format !== 'auto') override.format = format;
+    if (decimals !== '') override.decimals = parseInt(decimals);
+    if (compact !== '') override.compact = compact === 'true';
+
+    if (Object.keys(override).length > 0) metricFormats[row.dataset.metric] = override;
+    else delete metricFormats[row.dataset.metric];
+  });
+  settings.set(SETTINGS_KEYS.metricFormats, JSON.stringify(metricFormats));
+
+  // Same for neutral bands
+  const neutralBands = readNeutralBands(settings);
+  document.querySelectorAll('.config-neutral-band').forEach(row => {
+    const band = {};
+    const value = parseFloat(row.querySelector('[data-band="value"]').value);
+    const mode = row.querySelector('[data-band="mode"]').value;
+    if (value >= 0) band.value = value;
+    if (mode) band.mode = mode;
+
+    if (Object.keys(band).length > 0) neutralBands[row.dataset.metric] = band;
+    else delete neutralBands[row.dataset.metric];
+  });
+  settings.set(SETTINGS_KEYS.neutralBands, JSON.stringify(neutralBands));
+  settings.set(SETTINGS_KEYS.dataAccessMode, document.getElementById('config-data-access').value);
+
+  const bindings = {};
+  document.querySelectorAll('#config-parameter-bindings select').forEach(select => {
+    if (select.value && PARAMETER_BINDINGS[select.dataset.binding]) {
+      bindings[select.dataset.binding] = select.value;
+    }
+  });
+  settings.set(SETTINGS_KEYS.parameterBindings, JSON.stringify(bindings));
+
+  // The anchor date binding is the 'parameter' anchor mode
+  const anchorParameter = document.querySelector('#config-parameter-bindings select[data-binding="anchorDate"]').value;
+  if (anchorParameter) {
+    settings.set(SETTINGS_KEYS.anchorMode, 'parameter');
+    settings.set(SETTINGS_KEYS.anchorParameter, anchorParameter);
+  } else if (settings.get(SETTINGS_KEYS.anchorMode) === 'parameter') {
+    settings.set(SETTINGS_KEYS.anchorMode, 'today');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    // main.js passes the workbook parameters and metric fields as the open payload
+    const payload = await window.tableau.extensions.initializeDialogAsync();
+    let context = {};
+    try {
+      context = JSON.parse(payload || '{}') || {};
+    } catch (e) {
+      context = {};
+    }
+    const settings = window.tableau.extensions.settings;
+
+    const environmentLocale = window.tableau.extensions.environment?.locale;
+    setLanguage(resolveLanguage(readDisplaySettings(settings).language, environmentLocale), environmentLocale);
+    applyTranslations();
+    applyTheme(document.documentElement, readDisplaySettings(settings), readWorkbookFormatting(window.tableau.extensions.environment));
+    populateForm(settings, context.parameters || [], context.metrics || []);
+
+    document.getElementById('config-custom-colors').addEventListener('change', updateColorInputs);
+    document.getElementById('config-theme').addEventListener('change', updateThemeInputs);
+
+    document.getElementById('config-cancel').addEventListener('click', () => {
+      window.tableau.extensions.ui.closeDialog('cancelled');
+    });
+
+    document.getElementById('config-form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const saveError = document.getElementById('config-save-error');
+      saveError.hidden = true;
+      applyForm(settings);
+      try {
+        await settings.saveAsync();
+      } catch (err) {
+        // Keep the dialog open so the author can retry or cancel
+        saveError.textContent = t('config.saveFailed', { message: err?.message || String(err) });
+        saveError.hidden = false;
+        return;
+      }
+      window.tableau.extensions.ui.closeDialog('saved');
+    });
+  } catch (err) {
+    // Dialog cannot work without the Extensions API
+  }
+});
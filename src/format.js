@@ -0,0 +1,123 @@
+// -------------------- Number Formatting --------------------
+// Locale-aware formatting built on Intl.NumberFormat. Shared by the extension and the
+// configure dialog (preview). Options:
+//   locale        - BCP 47 tag, e.g. the workbook locale 'de-de'
+//   style         - 'number' | 'percent' | 'currency' (percent values are ratios: 0.25 -> 25%)
+//   decimals      - fraction digits
+//   compact       - K / M / B / T (locale-specific words) from 1,000 up
+//   currency      - ISO 4217 code for the 'currency' style, e.g. 'USD'
+//   negativeStyle - 'minus' (-1.2K) | 'parentheses' ((1.2K))
+//   signed        - always show the sign (+1.2K), used for deltas
+//   prefix/suffix - literal text around the number (from a Tableau format)
+
+export const NEGATIVE_STYLES = ['minus', 'parentheses'];
+
+// Per-metric format choices offered in the configure dialog
+export const VALUE_FORMATS = ['auto', 'number', 'currency', 'percent', 'tableau'];
+
+const formatterCache = new Map();
+
+// Intl formatters are expensive to build, so reuse them per locale + options
+function getFormatter(locale, intlOptions) {
+  const key = `${locale}|${JSON.stringify(intlOptions)}`;
+  if (!formatterCache.has(key)) {
+    let formatter;
+    try {
+      formatter = new Intl.NumberFormat(locale || undefined, intlOptions);
+    } catch (e) {
+      // Unknown locale or currency code: fall back to the browser locale without currency
+      const { currency, ...rest } = intlOptions;
+      formatter = new Intl.NumberFormat(undefined, rest.style === 'currency' ? { ...rest, style: 'decimal' } : rest);
+    }
+    formatterCache.set(key, formatter);
+  }
+  return formatterCache.get(key);
+}
+
+export function formatValue(value, options = {}) {
+  if (value === undefined || value === null || typeof value !== 'number' || isNaN(value)) return '-';
+
+  const {
+    locale,
+    style = 'number',
+    decimals = 1,
+    compact = false,
+    currency = '',
+    negativeStyle = 'minus',
+    signed = false,
+    prefix = '',
+    suffix = ''
+  } = options;
+
+  const intlOptions = {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  };
+  if (style === 'percent') {
+    intlOptions.style = 'percent';
+  } else if (style === 'currency' && currency) {
+    intlOptions.style = 'currency';
+    intlOptions.currency = currency;
+  }
+  if (compact && style !== 'percent' && Math.abs(value) >= 1000) {
+    intlOptions.notation = 'compact';
+    intlOptions.compactDisplay = 'short';
+  }
+
+  const useParentheses = negativeStyle === 'parentheses' && value < 0;
+  if (signed && !useParentheses) intlOptions.signDisplay = 'exceptZero';
+
+  const number = getFormatter(locale, intlOptions).format(useParentheses ? -value : value);
+  const text = `${prefix}${number}${suffix}`;
+  return useParentheses ? `(${text})` : text;
+}
+
+// Relative change or attainment, e.g. 0.123 -> "12.3%"
+export function formatPercent(ratio, options = {}) {
+  const { locale, decimals = 1, signed = false } = options;
+  return formatValue(ratio, { locale, decimals, signed, style: 'percent' });
+}
+
+// Unit suffixes Tableau writes for "Display Units" in the supported languages
+const DISPLAY_UNITS = ['K', 'M', 'B', 'T', 'Tsd.', 'Mio.', 'Mrd.', 'тыс.', 'млн', 'млрд', 'mil', 'mill.'];
+
+// Decimal separator of a locale ('.' for en, ',' for de/ru/es)
+function getDecimalSeparator(locale) {
+  const part = getFormatter(locale, { minimumFractionDigits: 1 }).formatToParts(1.1).find(p => p.type === 'decimal');
+  return part ? part.value : '.';
+}
+
+// Derive format options from a Tableau formattedValue such as "$1,234.50", "12.5%",
+// "(1,234)" or "1.2M €", so cards can reuse the field's own number format.
+// Returns null when the sample doesn't look like a formatted number.
+export function inferFormatFromSample(sample, locale) {
+  if (!sample) return null;
+  const match = String(sample).trim().match(/^(\()?-?([^\d()-]*?)\s*(\d[\d.,\s']*)([^\d()]*?)(\))?$/);
+  if (!match) return null;
+
+  const [, openParen, prefix, digits, rawSuffix, closeParen] = match;
+  const options = { decimals: 0, compact: false, style: 'number', prefix: prefix || '', suffix: '' };
+
+  const separator = getDecimalSeparator(locale);
+  const cleanDigits = digits.trim();
+  const separatorIndex = cleanDigits.lastIndexOf(separator);
+  if (separatorIndex !== -1) {
+    options.decimals = Math.min(3, cleanDigits.length - separatorIndex - 1);
+  }
+
+  // Tableau display units (thousands, millions, ...) become compact notation
+  const tokens = rawSuffix.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length && DISPLAY_UNITS.includes(tokens[0])) {
+    options.compact = true;
+    tokens.shift();
+  }
+  let suffix = tokens.join(' ');
+  if (suffix === '%') {
+    options.style = 'percent';
+    suffix = '';
+  }
+  if (suffix) options.suffix = ` ${suffix}`;
+  if (openParen && closeParen) options.negativeStyle = 'parentheses';
+
+  return options;
+}
@@ -0,0 +1,1082 @@
+// -------------------- Messages --------------------
+// Message catalog shared by the extension and the configure dialog. The language follows
+// the Tableau environment locale unless the author picks one in the configure dialog.
+// A message is a string with {placeholders}, or an object of plural forms
+// (Intl.PluralRules categories) selected by the {count} parameter.
+
+export const LANGUAGES = ['en', 'ru', 'de', 'es'];
+
+// Shown in the language picker in their own language
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  ru: 'Русский',
+  de: 'Deutsch',
+  es: 'Español'
+};
+
+const MESSAGES = {
+  en: {
+    'app.emptyTitle': 'Select a Metric & Date',
+    'app.emptyHint': 'Add fields to the extension to see data.',
+    'app.missingDateTitle': 'Missing Date Field',
+    'app.missingDateHint': 'Please drag a Date field to the "Dates" box in the Marks card.',
+    'app.others': 'Others ({count})',
+    'card.approximate': 'Approximate total: {aggregation} cannot be re-aggregated from the sheet\'s rows. Remove the date from the level of detail or use an additive measure for an exact value.',
+    'card.othersUnavailable': 'No value: this aggregation of the remaining members cannot be combined from their totals, and the underlying data is not available for an exact value.',
+    'chart.approximate': '{aggregation} from daily values',
+
+    'period.mtd': 'MTD',
+    'period.qtd': 'QTD',
+    'period.ytd': 'YTD',
+    'period.rolling': 'Rolling',
+    'period.rollingTitle': 'Rolling {count} {unit}',
+    'period.toDateTitle': '{period} - {granularity}',
+    'period.lastWeek': 'Last full week',
+    'period.lastMonth': 'Last full month',
+    'period.lastQuarter': 'Last full quarter',
+    'period.lastYear': 'Last full year',
+    'period.custom': 'Custom range',
+    'period.customTitle': '{start} - {end}',
+    'granularity.days': 'Days',
+    'granularity.weeks': 'Weeks',
+    'granularity.months': 'Months',
+    'granularity.quarters': 'Quarters',
+    'granularity.years': 'Years',
+    'unit.days': { one: 'day', other: 'days' },
+    'unit.weeks': { one: 'week', other: 'weeks' },
+    'unit.months': { one: 'month', other: 'months' },
+    'unit.quarters': { one: 'quarter', other: 'quarters' },
+    'unit.years': { one: 'year', other: 'years' },
+    'unit.percentagePoints': '{value} pp',
+    'weekStart.monday': 'Mon',
+    'weekStart.sunday': 'Sun',
+
+    'controls.compare': 'Compare',
+    'controls.customFrom': 'From',
+    'controls.customTo': 'To',
+    'controls.compareFrom': 'Compare from',
+    'controls.compareTo': 'Compare to',
+    'anchor.title': 'Anchor date',
+    'anchor.today': 'Today',
+    'anchor.yesterday': 'Yesterday',
+    'anchor.max': 'Latest in data',
+    'anchor.fixed': 'Fixed date',
+    'anchor.parameter': 'Parameter',
+    'anchor.label': 'As of {date} ({source})',
+    'anchor.source.today': 'today',
+    'anchor.source.yesterday': 'yesterday',
+    'anchor.source.max': 'latest data',
+    'anchor.source.fixed': 'fixed date',
+    'anchor.source.parameter': 'parameter',
+
+    'comparison.prevYear.label': 'YoY',
+    'comparison.prevYear.title': 'Year over Year',
+    'comparison.prevYear.header': 'vs Previous Year',
+    'comparison.prevMonth.label': 'MoM',
+    'comparison.prevMonth.title': 'Month over Month',
+    'comparison.prevMonth.header': 'vs Previous Month',
+    'comparison.prevQuarter.label': 'QoQ',
+    'comparison.prevQuarter.title': 'Quarter over Quarter',
+    'comparison.prevQuarter.header': 'vs Previous Quarter',
+    'comparison.prevWeek.label': 'WoW',
+    'comparison.prevWeek.title': 'Week over Week',
+    'comparison.prevWeek.header': 'vs Previous Week',
+    'comparison.prevPeriod.label': 'PoP',
+    'comparison.prevPeriod.title': 'Period over Period (equal length)',
+    'comparison.prevPeriod.header': 'vs Previous Period',
+    'comparison.prevYearWeekday.label': 'YoY (DoW)',
+    'comparison.prevYearWeekday.title': 'Same weekday last year',
+    'comparison.prevYearWeekday.header': 'vs Same Weekday Last Year',
+    'comparison.custom.label': 'Custom',
+    'comparison.custom.title': 'Custom comparison range',
+    'comparison.custom.header': 'vs Custom Range',
+    'comparison.filteredOut': 'outside filtered dates',
+    'comparison.filteredOutTitle': 'The sheet\'s filter on {field} excludes this comparison period. Widen the filter to compare against it.',
+
+    'target.label': 'Target:',
+    'target.title': 'Target: {value}',
+    'target.pacingTitle': 'Projection to period end: {value}',
+    'target.onTrack': 'On track for {pct}',
+    'forecast.label': 'Forecast:',
+    'forecast.title': 'Projected value on {date} ({method})',
+    'forecast.bucket': '{date}: forecast {value}',
+    'forecast.method.linear': 'linear run rate',
+    'forecast.method.weekday': 'day-of-week weighted',
+    'forecast.method.lastYear': 'same shape as last year',
+
+    'interaction.selected': 'Selected: {what}',
+    'interaction.filtered': 'Filtered: {what}',
+    'interaction.clear': '✕ Clear',
+    'interaction.clearTitle': 'Clear (Esc)',
+
+    'menu.reload': '🔄 Reload Extension',
+    'menu.clearInteraction': '✕ Clear Selection / Filter',
+    'menu.configure': '⚙️ Configure…',
+
+    'tooltip.selected': '{metric} (Selected)',
+    'tooltip.range': 'Range:',
+    'tooltip.count': 'Count:',
+    'tooltip.bucketCount': '{count} {unit}',
+    'tooltip.sum': 'Sum:',
+    'tooltip.referenceSum': '{reference} sum:',
+    'tooltip.deltaVs': 'Δ vs {reference}:',
+    'tooltip.runningTotal': 'Running total:',
+    'tooltip.runningTotalAt': 'Running total to {date}:',
+    'tooltip.runningGap': 'Running gap:',
+    'tooltip.runningGapVs': 'Running gap vs {reference}:',
+    'tooltip.bucketValue': 'This bucket:',
+    'tooltip.delta': 'Δ:',
+    'tooltip.period': 'Period:',
+    'tooltip.value': 'Value:',
+    'tooltip.vsTarget': 'vs Target',
+    'tooltip.target': 'Target:',
+    'tooltip.attainment': 'Attainment:',
+    'tooltip.gap': 'Gap:',
+    'tooltip.pacing': 'Pacing:',
+    'tooltip.forecast': 'Forecast',
+    'tooltip.forecastMethod': 'Method:',
+    'tooltip.projected': 'Projected ({date}):',
+    'tooltip.remaining': 'Rest of period:',
+    'tooltip.date': 'Date:',
+    'tooltip.fiscalWeek': 'week {week}',
+    'tooltip.partial': 'Partial period: {days} of {total} days',
+    'tooltip.partialToday': 'Partial period: includes today',
+    'tooltip.perDay': 'Average per day',
+    'tooltip.dayCount': 'Days:',
+    'tooltip.scaledDays': 'Scaled from {from} to {to}',
+    'tooltip.current': 'Current:',
+    'tooltip.reference': 'Reference:',
+    'tooltip.referenceValue': '{reference}:',
+    'tooltip.referenceDate': 'Compared with:',
+
+    'config.title': 'Configure KPI Cards',
+    'config.defaultView': 'Default View',
+    'config.period': 'Period',
+    'config.weekStart': 'Week starts on',
+    'config.monday': 'Monday',
+    'config.sunday': 'Sunday',
+    'config.fiscalStartMonth': 'Fiscal year starts in',
+    'config.fiscalCalendar': 'Months and quarters',
+    'config.fiscalCalendar.gregorian': 'Calendar months',
+    'config.fiscalCalendar.445': 'Retail 4-4-5 weeks',
+    'config.fiscalCalendar.454': 'Retail 4-5-4 weeks',
+    'config.fiscalCalendar.544': 'Retail 5-4-4 weeks',
+    'config.rollingCount': 'Rolling count',
+    'config.customRange': 'Custom range',
+    'config.comparisons': 'Comparisons',
+    'config.compareRange': 'Custom comparison range',
+    'config.yoyAlignment': 'Year-over-year compares',
+    'config.yoyAlignment.date': 'Same date',
+    'config.yoyAlignment.weekday': 'Same weekday (364 days back)',
+    'config.chartReference': 'Chart reference',
+    'config.chartReference2': 'Second chart reference',
+    'config.cumulativeCharts': 'Running totals in charts',
+    'chartReference.prevPeriod': 'Previous period',
+    'chartReference.prevYear': 'Previous year',
+    'chartReference.target': 'Target',
+    'chartReference.none': 'None',
+    'config.incompletePeriods': 'Incomplete periods',
+    'config.incompletePeriods.show': 'Show as is',
+    'config.incompletePeriods.exclude': 'Exclude',
+    'config.incompletePeriods.faded': 'Hatched and faded',
+    'config.incompletePeriods.perDay': 'Average per day',
+    'config.forecast': 'Forecast',
+    'config.forecastMethod': 'Projection for MTD / QTD / YTD',
+    'config.forecast.none': 'Off',
+    'config.forecast.linear': 'Linear run rate',
+    'config.forecast.weekday': 'Day-of-week weighted',
+    'config.forecast.lastYear': 'Same shape as last year',
+    'config.numberFormat': 'Number Format',
+    'config.decimals': 'Decimal places',
+    'config.compact': 'Compact numbers (K / M / B)',
+    'config.currency': 'Currency code',
+    'config.currencyHint': 'e.g. USD, EUR',
+    'config.negativeStyle': 'Negative numbers',
+    'config.tableauFormat': "Use each field's Tableau number format",
+    'config.perMetric': 'Per metric',
+    'config.format.auto': 'Default',
+    'config.format.number': 'Number',
+    'config.format.currency': 'Currency',
+    'config.format.percent': 'Percentage',
+    'config.format.tableau': 'Tableau format',
+    'config.default': 'Default',
+    'config.decimalsShort': { one: '{count} dp', other: '{count} dp' },
+    'config.compactOn': 'Compact',
+    'config.compactOff': 'Full',
+    'config.theme': 'Theme',
+    'config.themeMode': 'Palette',
+    'config.theme.auto': 'Match workbook',
+    'config.theme.light': 'Light',
+    'config.theme.dark': 'Dark',
+    'config.theme.custom': 'Custom',
+    'config.themeBackground': 'Card background',
+    'config.themeText': 'Text',
+    'config.themeReference': 'Reference series',
+    'config.colors': 'Colors',
+    'config.customColors': 'Use custom colors',
+    'config.favorable': 'Favorable change',
+    'config.unfavorable': 'Unfavorable change',
+    'config.neutral': 'No significant change',
+    'config.neutralHint': 'Changes inside the neutral band use the neutral color on cards, tooltips and bars.',
+    'config.neutralBand': 'Neutral band',
+    'config.neutralMode.percent': '% of reference',
+    'config.neutralMode.absolute': 'Absolute',
+    'config.layout': 'Card Layout',
+    'config.layoutMode': 'Layout',
+    'config.cardLayout.full': 'Full card',
+    'config.cardLayout.valueDelta': 'Value + delta',
+    'config.cardLayout.value': 'Value only',
+    'config.cardLayout.sparkline': 'Sparkline strip',
+    'config.cardLayout.row': 'Horizontal rows',
+    'config.columns': 'Columns',
+    'config.auto': 'Auto',
+    'config.showCharts': 'Show charts',
+    'config.cardSort': 'Sort cards by',
+    'config.cardSort.none': 'Field order',
+    'config.cardSort.value': 'Current value',
+    'config.cardSort.delta': 'Change vs. first comparison',
+    'config.cardSort.alpha': 'Name (A–Z)',
+    'config.cardGrouping': 'Group cards by',
+    'config.cardGrouping.metric': 'Metric',
+    'config.cardGrouping.detail': 'Detail member',
+    'config.detailLimit': 'Detail members per metric',
+    'config.detailLimitHint': '0 = all',
+    'config.showOthers': 'Add an "Others" card for the rest',
+    'config.interaction': 'Interaction',
+    'config.clickAction': 'Clicking a card or brushing a chart',
+    'config.click.none': 'Does nothing',
+    'config.click.select': 'Selects marks',
+    'config.click.filter': 'Filters the worksheet',
+    'config.parameters': 'Parameters',
+    'config.parametersHint': 'Bound controls follow the parameter and write changes back to it.',
+    'config.notBound': 'Not bound',
+    'config.binding.period': 'Period',
+    'config.binding.granularity': 'Granularity',
+    'config.binding.rollingCount': 'Rolling count',
+    'config.binding.anchorDate': 'Anchor date',
+    'config.viewers': 'Viewers',
+    'config.viewerControls': 'Viewers may change the period controls',
+    'config.data': 'Data',
+    'config.dataAccess': 'Data access',
+    'config.data.summary': 'Read sheet data (never changes filters)',
+    'config.data.filter': 'Temporary date filters (restored afterwards)',
+    'config.language': 'Language',
+    'config.languageAuto': 'Workbook language',
+    'config.cancel': 'Cancel',
+    'config.saveFailed': 'Settings could not be saved: {message}',
+    'config.save': 'Save'
+  },
+
+  ru: {
+    'app.emptyTitle': 'Выберите показатель и дату',
+    'app.emptyHint': 'Добавьте поля в расширение, чтобы увидеть данные.',
+    'app.missingDateTitle': 'Нет поля даты',
+    'app.missingDateHint': 'Перетащите поле даты в область «Dates» на карточке Marks.',
+    'app.others': 'Прочие ({count})',
+    'card.approximate': 'Приблизительный итог: {aggregation} нельзя пересчитать по строкам листа. Для точного значения уберите дату из уровня детализации или используйте аддитивную меру.',
+    'card.othersUnavailable': 'Нет значения: эту агрегацию остальных элементов нельзя получить из их итогов, а базовые данные для точного значения недоступны.',
+    'chart.approximate': '{aggregation} по дневным значениям',
+
+    'period.mtd': 'С начала месяца',
+    'period.qtd': 'С начала квартала',
+    'period.ytd': 'С начала года',
+    'period.rolling': 'Скользящий',
+    'period.rollingTitle': 'Последние {count} {unit}',
+    'period.toDateTitle': '{period} - {granularity}',
+    'period.lastWeek': 'Прошлая полная неделя',
+    'period.lastMonth': 'Прошлый полный месяц',
+    'period.lastQuarter': 'Прошлый полный квартал',
+    'period.lastYear': 'Прошлый полный год',
+    'period.custom': 'Произвольный период',
+    'period.customTitle': '{start} - {end}',
+    'granularity.days': 'Дни',
+    'granularity.weeks': 'Недели',
+    'granularity.months': 'Месяцы',
+    'granularity.quarters': 'Кварталы',
+    'granularity.years': 'Годы',
+    'unit.days': { one: 'день', few: 'дня', many: 'дней', other: 'дня' },
+    'unit.weeks': { one: 'неделя', few: 'недели', many: 'недель', other: 'недели' },
+    'unit.months': { one: 'месяц', few: 'месяца', many: 'месяцев', other: 'месяца' },
+    'unit.quarters': { one: 'квартал', few: 'квартала', many: 'кварталов', other: 'квартала' },
+    'unit.years': { one: 'год', few: 'года', many: 'лет', other: 'года' },
+    'unit.percentagePoints': '{value} п. п.',
+    'weekStart.monday': 'Пн',
+    'weekStart.sunday': 'Вс',
+
+    'controls.compare': 'Сравнение',
+    'controls.customFrom': 'С',
+    'controls.customTo': 'По',
+    'controls.compareFrom': 'Сравнить с',
+    'controls.compareTo': 'Сравнить по',
+    'anchor.title': 'Опорная дата',
+    'anchor.today': 'Сегодня',
+    'anchor.yesterday': 'Вчера',
+    'anchor.max': 'Последняя в данных',
+    'anchor.fixed': 'Фиксированная дата',
+    'anchor.parameter': 'Параметр',
+    'anchor.label': 'На {date} ({source})',
+    'anchor.source.today': 'сегодня',
+    'anchor.source.yesterday': 'вчера',
+    'anchor.source.max': 'последние данные',
+    'anchor.source.fixed': 'фиксированная дата',
+    'anchor.source.parameter': 'параметр',
+
+    'comparison.prevYear.label': 'Г/Г',
+    'comparison.prevYear.title': 'Год к году',
+    'comparison.prevYear.header': 'К прошлому году',
+    'comparison.prevMonth.label': 'М/М',
+    'comparison.prevMonth.title': 'Месяц к месяцу',
+    'comparison.prevMonth.header': 'К прошлому месяцу',
+    'comparison.prevQuarter.label': 'К/К',
+    'comparison.prevQuarter.title': 'Квартал к кварталу',
+    'comparison.prevQuarter.header': 'К прошлому кварталу',
+    'comparison.prevWeek.label': 'Н/Н',
+    'comparison.prevWeek.title': 'Неделя к неделе',
+    'comparison.prevWeek.header': 'К прошлой неделе',
+    'comparison.prevPeriod.label': 'П/П',
+    'comparison.prevPeriod.title': 'Период к периоду (равной длины)',
+    'comparison.prevPeriod.header': 'К прошлому периоду',
+    'comparison.prevYearWeekday.label': 'Г/Г (ДН)',
+    'comparison.prevYearWeekday.title': 'Тот же день недели год назад',
+    'comparison.prevYearWeekday.header': 'К тому же дню недели год назад',
+    'comparison.custom.label': 'Произв.',
+    'comparison.custom.title': 'Произвольный период сравнения',
+    'comparison.custom.header': 'К произвольному периоду',
+    'comparison.filteredOut': 'вне отфильтрованных дат',
+    'comparison.filteredOutTitle': 'Фильтр листа по полю {field} исключает этот период сравнения. Расширьте фильтр, чтобы сравнить с ним.',
+
+    'target.label': 'План:',
+    'target.title': 'План: {value}',
+    'target.pacingTitle': 'Прогноз на конец периода: {value}',
+    'target.onTrack': 'Прогноз {pct}',
+    'forecast.label': 'Прогноз:',
+    'forecast.title': 'Прогноз на {date} ({method})',
+    'forecast.bucket': '{date}: прогноз {value}',
+    'forecast.method.linear': 'линейный темп',
+    'forecast.method.weekday': 'с учётом дней недели',
+    'forecast.method.lastYear': 'по профилю прошлого года',
+
+    'interaction.selected': 'Выбрано: {what}',
+    'interaction.filtered': 'Фильтр: {what}',
+    'interaction.clear': '✕ Сбросить',
+    'interaction.clearTitle': 'Сбросить (Esc)',
+
+    'menu.reload': '🔄 Перезагрузить расширение',
+    'menu.clearInteraction': '✕ Сбросить выбор / фильтр',
+    'menu.configure': '⚙️ Настроить…',
+
+    'tooltip.selected': '{metric} (выбрано)',
+    'tooltip.range': 'Диапазон:',
+    'tooltip.count': 'Количество:',
+    'tooltip.bucketCount': '{count} {unit}',
+    'tooltip.sum': 'Сумма:',
+    'tooltip.referenceSum': '{reference}, сумма:',
+    'tooltip.deltaVs': 'Δ к «{reference}»:',
+    'tooltip.runningTotal': 'Нарастающий итог:',
+    'tooltip.runningTotalAt': 'Нарастающий итог на {date}:',
+    'tooltip.runningGap': 'Накопленная разница:',
+    'tooltip.runningGapVs': 'Накопленная разница к «{reference}»:',
+    'tooltip.bucketValue': 'За интервал:',
+    'tooltip.delta': 'Δ:',
+    'tooltip.period': 'Период:',
+    'tooltip.value': 'Значение:',
+    'tooltip.vsTarget': 'К плану',
+    'tooltip.target': 'План:',
+    'tooltip.attainment': 'Выполнение:',
+    'tooltip.gap': 'Отклонение:',
+    'tooltip.pacing': 'Прогноз:',
+    'tooltip.forecast': 'Прогноз',
+    'tooltip.forecastMethod': 'Метод:',
+    'tooltip.projected': 'Прогноз ({date}):',
+    'tooltip.remaining': 'Остаток периода:',
+    'tooltip.date': 'Дата:',
+    'tooltip.fiscalWeek': 'неделя {week}',
+    'tooltip.partial': 'Неполный период: {days} из {total} дн.',
+    'tooltip.partialToday': 'Неполный период: включает сегодня',
+    'tooltip.perDay': 'Среднее за день',
+    'tooltip.dayCount': 'Дни:',
+    'tooltip.scaledDays': 'Пересчитано с {from} на {to}',
+    'tooltip.current': 'Текущее:',
+    'tooltip.reference': 'Сравнение:',
+    'tooltip.referenceValue': '{reference}:',
+    'tooltip.referenceDate': 'Сравнивается с:',
+
+    'config.title': 'Настройка KPI-карточек',
+    'config.defaultView': 'Вид по умолчанию',
+    'config.period': 'Период',
+    'config.weekStart': 'Начало недели',
+    'config.monday': 'Понедельник',
+    'config.sunday': 'Воскресенье',
+    'config.fiscalStartMonth': 'Финансовый год начинается в',
+    'config.fiscalCalendar': 'Месяцы и кварталы',
+    'config.fiscalCalendar.gregorian': 'Календарные месяцы',
+    'config.fiscalCalendar.445': 'Ритейл 4-4-5 недель',
+    'config.fiscalCalendar.454': 'Ритейл 4-5-4 недель',
+    'config.fiscalCalendar.544': 'Ритейл 5-4-4 недель',
+    'config.rollingCount': 'Длина скользящего периода',
+    'config.customRange': 'Произвольный период',
+    'config.comparisons': 'Сравнения',
+    'config.compareRange': 'Произвольный период сравнения',
+    'config.yoyAlignment': 'Сравнение с прошлым годом',
+    'config.yoyAlignment.date': 'Та же дата',
+    'config.yoyAlignment.weekday': 'Тот же день недели (364 дня назад)',
+    'config.chartReference': 'Сравнение на графике',
+    'config.chartReference2': 'Второе сравнение на графике',
+    'config.cumulativeCharts': 'Нарастающий итог на графиках',
+    'chartReference.prevPeriod': 'Предыдущий период',
+    'chartReference.prevYear': 'Прошлый год',
+    'chartReference.target': 'План',
+    'chartReference.none': 'Нет',
+    'config.incompletePeriods': 'Неполные периоды',
+    'config.incompletePeriods.show': 'Показывать как есть',
+    'config.incompletePeriods.exclude': 'Исключать',
+    'config.incompletePeriods.faded': 'Штриховка и прозрачность',
+    'config.incompletePeriods.perDay': 'Среднее за день',
+    'config.forecast': 'Прогноз',
+    'config.forecastMethod': 'Прогноз для MTD / QTD / YTD',
+    'config.forecast.none': 'Выкл.',
+    'config.forecast.linear': 'Линейный темп',
+    'config.forecast.weekday': 'С учётом дней недели',
+    'config.forecast.lastYear': 'По профилю прошлого года',
+    'config.numberFormat': 'Формат чисел',
+    'config.decimals': 'Знаков после запятой',
+    'config.compact': 'Сокращать числа (тыс. / млн / млрд)',
+    'config.currency': 'Код валюты',
+    'config.currencyHint': 'например, RUB, USD',
+    'config.negativeStyle': 'Отрицательные числа',
+    'config.tableauFormat': 'Использовать числовой формат поля из Tableau',
+    'config.perMetric': 'По показателям',
+    'config.format.auto': 'По умолчанию',
+    'config.format.number': 'Число',
+    'config.format.currency': 'Валюта',
+    'config.format.percent': 'Процент',
+    'config.format.tableau': 'Формат Tableau',
+    'config.default': 'По умолчанию',
+    'config.decimalsShort': { one: '{count} знак', few: '{count} знака', many: '{count} знаков', other: '{count} знака' },
+    'config.compactOn': 'Сокращённо',
+    'config.compactOff': 'Полностью',
+    'config.theme': 'Оформление',
+    'config.themeMode': 'Палитра',
+    'config.theme.auto': 'Как в книге',
+    'config.theme.light': 'Светлая',
+    'config.theme.dark': 'Тёмная',
+    'config.theme.custom': 'Своя',
+    'config.themeBackground': 'Фон карточки',
+    'config.themeText': 'Текст',
+    'config.themeReference': 'Ряд сравнения',
+    'config.colors': 'Цвета',
+    'config.customColors': 'Свои цвета',
+    'config.favorable': 'Улучшение',
+    'config.unfavorable': 'Ухудшение',
+    'config.neutral': 'Без существенных изменений',
+    'config.neutralHint': 'Изменения внутри нейтральной зоны показываются нейтральным цветом на карточках, в подсказках и на столбцах.',
+    'config.neutralBand': 'Нейтральная зона',
+    'config.neutralMode.percent': '% от базы',
+    'config.neutralMode.absolute': 'Абсолютная',
+    'config.layout': 'Раскладка карточек',
+    'config.layoutMode': 'Вид',
+    'config.cardLayout.full': 'Полная карточка',
+    'config.cardLayout.valueDelta': 'Значение + изменение',
+    'config.cardLayout.value': 'Только значение',
+    'config.cardLayout.sparkline': 'Полоса со спарклайном',
+    'config.cardLayout.row': 'Горизонтальные строки',
+    'config.columns': 'Столбцы',
+    'config.auto': 'Авто',
+    'config.showCharts': 'Показывать графики',
+    'config.cardSort': 'Сортировать карточки',
+    'config.cardSort.none': 'Порядок полей',
+    'config.cardSort.value': 'Текущее значение',
+    'config.cardSort.delta': 'Изменение к первому сравнению',
+    'config.cardSort.alpha': 'Название (А–Я)',
+    'config.cardGrouping': 'Группировать карточки',
+    'config.cardGrouping.metric': 'По показателю',
+    'config.cardGrouping.detail': 'По элементу детализации',
+    'config.detailLimit': 'Элементов детализации на показатель',
+    'config.detailLimitHint': '0 = все',
+    'config.showOthers': 'Добавить карточку «Прочие» для остальных',
+    'config.interaction': 'Взаимодействие',
+    'config.clickAction': 'Клик по карточке или выделение на графике',
+    'config.click.none': 'Ничего не делает',
+    'config.click.select': 'Выделяет метки',
+    'config.click.filter': 'Фильтрует лист',
+    'config.parameters': 'Параметры',
+    'config.parametersHint': 'Привязанные элементы следуют за параметром и записывают изменения обратно в него.',
+    'config.notBound': 'Не привязан',
+    'config.binding.period': 'Период',
+    'config.binding.granularity': 'Детализация',
+    'config.binding.rollingCount': 'Длина скользящего периода',
+    'config.binding.anchorDate': 'Опорная дата',
+    'config.viewers': 'Зрители',
+    'config.viewerControls': 'Зрители могут менять период',
+    'config.data': 'Данные',
+    'config.dataAccess': 'Доступ к данным',
+    'config.data.summary': 'Читать данные листа (фильтры не меняются)',
+    'config.data.filter': 'Временные фильтры по дате (потом восстанавливаются)',
+    'config.language': 'Язык',
+    'config.languageAuto': 'Язык книги',
+    'config.cancel': 'Отмена',
+    'config.saveFailed': 'Не удалось сохранить настройки: {message}',
+    'config.save': 'Сохранить'
+  },
+
+  de: {
+    'app.emptyTitle': 'Kennzahl und Datum auswählen',
+    'app.emptyHint': 'Fügen Sie der Erweiterung Felder hinzu, um Daten zu sehen.',
+    'app.missingDateTitle': 'Datumsfeld fehlt',
+    'app.missingDateHint': 'Ziehen Sie ein Datumsfeld in den Bereich „Dates“ der Markierungskarte.',
+    'app.others': 'Sonstige ({count})',
+    'card.approximate': 'Ungefährer Gesamtwert: {aggregation} lässt sich nicht aus den Zeilen des Blatts neu aggregieren. Für einen exakten Wert das Datum aus der Detailebene entfernen oder eine additive Kennzahl verwenden.',
+    'card.othersUnavailable': 'Kein Wert: Diese Aggregation der übrigen Elemente lässt sich nicht aus deren Gesamtwerten bilden, und die zugrunde liegenden Daten für einen exakten Wert sind nicht verfügbar.',
+    'chart.approximate': '{aggregation} aus Tageswerten',
+
+    'period.mtd': 'MTD',
+    'period.qtd': 'QTD',
+    'period.ytd': 'YTD',
+    'period.rolling': 'Rollierend',
+    'period.rollingTitle': 'Letzte {count} {unit}',
+    'period.toDateTitle': '{period} - {granularity}',
+    'period.lastWeek': 'Letzte volle Woche',
+    'period.lastMonth': 'Letzter voller Monat',
+    'period.lastQuarter': 'Letztes volles Quartal',
+    'period.lastYear': 'Letztes volles Jahr',
+    'period.custom': 'Eigener Zeitraum',
+    'period.customTitle': '{start} - {end}',
+    'granularity.days': 'Tage',
+    'granularity.weeks': 'Wochen',
+    'granularity.months': 'Monate',
+    'granularity.quarters': 'Quartale',
+    'granularity.years': 'Jahre',
+    'unit.days': { one: 'Tag', other: 'Tage' },
+    'unit.weeks': { one: 'Woche', other: 'Wochen' },
+    'unit.months': { one: 'Monat', other: 'Monate' },
+    'unit.quarters': { one: 'Quartal', other: 'Quartale' },
+    'unit.years': { one: 'Jahr', other: 'Jahre' },
+    'unit.percentagePoints': '{value} Pp.',
+    'weekStart.monday': 'Mo',
+    'weekStart.sunday': 'So',
+
+    'controls.compare': 'Vergleich',
+    'controls.customFrom': 'Von',
+    'controls.customTo': 'Bis',
+    'controls.compareFrom': 'Vergleich von',
+    'controls.compareTo': 'Vergleich bis',
+    'anchor.title': 'Stichtag',
+    'anchor.today': 'Heute',
+    'anchor.yesterday': 'Gestern',
+    'anchor.max': 'Neuestes in Daten',
+    'anchor.fixed': 'Festes Datum',
+    'anchor.parameter': 'Parameter',
+    'anchor.label': 'Stand {date} ({source})',
+    'anchor.source.today': 'heute',
+    'anchor.source.yesterday': 'gestern',
+    'anchor.source.max': 'neueste Daten',
+    'anchor.source.fixed': 'festes Datum',
+    'anchor.source.parameter': 'Parameter',
+
+    'comparison.prevYear.label': 'VJ',
+    'comparison.prevYear.title': 'Vorjahresvergleich',
+    'comparison.prevYear.header': 'ggü. Vorjahr',
+    'comparison.prevMonth.label': 'VM',
+    'comparison.prevMonth.title': 'Vormonatsvergleich',
+    'comparison.prevMonth.header': 'ggü. Vormonat',
+    'comparison.prevQuarter.label': 'VQ',
+    'comparison.prevQuarter.title': 'Vorquartalsvergleich',
+    'comparison.prevQuarter.header': 'ggü. Vorquartal',
+    'comparison.prevWeek.label': 'VW',
+    'comparison.prevWeek.title': 'Vorwochenvergleich',
+    'comparison.prevWeek.header': 'ggü. Vorwoche',
+    'comparison.prevPeriod.label': 'VP',
+    'comparison.prevPeriod.title': 'Vorperiodenvergleich (gleiche Länge)',
+    'comparison.prevPeriod.header': 'ggü. Vorperiode',
+    'comparison.prevYearWeekday.label': 'VJ (WT)',
+    'comparison.prevYearWeekday.title': 'Gleicher Wochentag im Vorjahr',
+    'comparison.prevYearWeekday.header': 'ggü. gleichem Wochentag im Vorjahr',
+    'comparison.custom.label': 'Eigener',
+    'comparison.custom.title': 'Eigener Vergleichszeitraum',
+    'comparison.custom.header': 'vs. eigenem Zeitraum',
+    'comparison.filteredOut': 'außerhalb der gefilterten Daten',
+    'comparison.filteredOutTitle': 'Der Filter des Blatts auf {field} schließt diesen Vergleichszeitraum aus. Erweitern Sie den Filter, um damit zu vergleichen.',
+
+    'target.label': 'Ziel:',
+    'target.title': 'Ziel: {value}',
+    'target.pacingTitle': 'Hochrechnung bis Periodenende: {value}',
+    'target.onTrack': 'Auf Kurs für {pct}',
+    'forecast.label': 'Prognose:',
+    'forecast.title': 'Prognostizierter Wert am {date} ({method})',
+    'forecast.bucket': '{date}: Prognose {value}',
+    'forecast.method.linear': 'lineare Hochrechnung',
+    'forecast.method.weekday': 'nach Wochentag gewichtet',
+    'forecast.method.lastYear': 'Verlauf wie im Vorjahr',
+
+    'interaction.selected': 'Ausgewählt: {what}',
+    'interaction.filtered': 'Gefiltert: {what}',
+    'interaction.clear': '✕ Zurücksetzen',
+    'interaction.clearTitle': 'Zurücksetzen (Esc)',
+
+    'menu.reload': '🔄 Erweiterung neu laden',
+    'menu.clearInteraction': '✕ Auswahl / Filter zurücksetzen',
+    'menu.configure': '⚙️ Konfigurieren…',
+
+    'tooltip.selected': '{metric} (Auswahl)',
+    'tooltip.range': 'Zeitraum:',
+    'tooltip.count': 'Anzahl:',
+    'tooltip.bucketCount': '{count} {unit}',
+    'tooltip.sum': 'Summe:',
+    'tooltip.referenceSum': '{reference}, Summe:',
+    'tooltip.deltaVs': 'Δ zu {reference}:',
+    'tooltip.runningTotal': 'Laufende Summe:',
+    'tooltip.runningTotalAt': 'Laufende Summe bis {date}:',
+    'tooltip.runningGap': 'Laufender Abstand:',
+    'tooltip.runningGapVs': 'Laufender Abstand zu {reference}:',
+    'tooltip.bucketValue': 'Dieser Abschnitt:',
+    'tooltip.delta': 'Δ:',
+    'tooltip.period': 'Zeitraum:',
+    'tooltip.value': 'Wert:',
+    'tooltip.vsTarget': 'ggü. Ziel',
+    'tooltip.target': 'Ziel:',
+    'tooltip.attainment': 'Zielerreichung:',
+    'tooltip.gap': 'Abweichung:',
+    'tooltip.pacing': 'Hochrechnung:',
+    'tooltip.forecast': 'Prognose',
+    'tooltip.forecastMethod': 'Methode:',
+    'tooltip.projected': 'Prognose ({date}):',
+    'tooltip.remaining': 'Restzeitraum:',
+    'tooltip.date': 'Datum:',
+    'tooltip.fiscalWeek': 'KW {week}',
+    'tooltip.partial': 'Unvollständiger Zeitraum: {days} von {total} Tagen',
+    'tooltip.partialToday': 'Unvollständiger Zeitraum: enthält heute',
+    'tooltip.perDay': 'Durchschnitt pro Tag',
+    'tooltip.dayCount': 'Tage:',
+    'tooltip.scaledDays': 'Skaliert von {from} auf {to}',
+    'tooltip.current': 'Aktuell:',
+    'tooltip.reference': 'Vergleich:',
+    'tooltip.referenceValue': '{reference}:',
+    'tooltip.referenceDate': 'Verglichen mit:',
+
+    'config.title': 'KPI-Karten konfigurieren',
+    'config.defaultView': 'Standardansicht',
+    'config.period': 'Zeitraum',
+    'config.weekStart': 'Woche beginnt am',
+    'config.monday': 'Montag',
+    'config.sunday': 'Sonntag',
+    'config.fiscalStartMonth': 'Geschäftsjahr beginnt im',
+    'config.fiscalCalendar': 'Monate und Quartale',
+    'config.fiscalCalendar.gregorian': 'Kalendermonate',
+    'config.fiscalCalendar.445': 'Einzelhandel 4-4-5 Wochen',
+    'config.fiscalCalendar.454': 'Einzelhandel 4-5-4 Wochen',
+    'config.fiscalCalendar.544': 'Einzelhandel 5-4-4 Wochen',
+    'config.rollingCount': 'Rollierende Anzahl',
+    'config.customRange': 'Eigener Zeitraum',
+    'config.comparisons': 'Vergleiche',
+    'config.compareRange': 'Eigener Vergleichszeitraum',
+    'config.yoyAlignment': 'Vorjahresvergleich',
+    'config.yoyAlignment.date': 'Gleiches Datum',
+    'config.yoyAlignment.weekday': 'Gleicher Wochentag (364 Tage zurück)',
+    'config.chartReference': 'Vergleich im Diagramm',
+    'config.chartReference2': 'Zweiter Vergleich im Diagramm',
+    'config.cumulativeCharts': 'Laufende Summen in Diagrammen',
+    'chartReference.prevPeriod': 'Vorperiode',
+    'chartReference.prevYear': 'Vorjahr',
+    'chartReference.target': 'Ziel',
+    'chartReference.none': 'Keiner',
+    'config.incompletePeriods': 'Unvollständige Zeiträume',
+    'config.incompletePeriods.show': 'Unverändert anzeigen',
+    'config.incompletePeriods.exclude': 'Ausschließen',
+    'config.incompletePeriods.faded': 'Schraffiert und blass',
+    'config.incompletePeriods.perDay': 'Durchschnitt pro Tag',
+    'config.forecast': 'Prognose',
+    'config.forecastMethod': 'Hochrechnung für MTD / QTD / YTD',
+    'config.forecast.none': 'Aus',
+    'config.forecast.linear': 'Lineare Hochrechnung',
+    'config.forecast.weekday': 'Nach Wochentag gewichtet',
+    'config.forecast.lastYear': 'Verlauf wie im Vorjahr',
+    'config.numberFormat': 'Zahlenformat',
+    'config.decimals': 'Dezimalstellen',
+    'config.compact': 'Kompakte Zahlen (Tsd. / Mio. / Mrd.)',
+    'config.currency': 'Währungscode',
+    'config.currencyHint': 'z. B. EUR, USD',
+    'config.negativeStyle': 'Negative Zahlen',
+    'config.tableauFormat': 'Zahlenformat des Tableau-Felds verwenden',
+    'config.perMetric': 'Pro Kennzahl',
+    'config.format.auto': 'Standard',
+    'config.format.number': 'Zahl',
+    'config.format.currency': 'Währung',
+    'config.format.percent': 'Prozent',
+    'config.format.tableau': 'Tableau-Format',
+    'config.default': 'Standard',
+    'config.decimalsShort': { one: '{count} Stelle', other: '{count} Stellen' },
+    'config.compactOn': 'Kompakt',
+    'config.compactOff': 'Vollständig',
+    'config.theme': 'Design',
+    'config.themeMode': 'Farbschema',
+    'config.theme.auto': 'Wie Arbeitsmappe',
+    'config.theme.light': 'Hell',
+    'config.theme.dark': 'Dunkel',
+    'config.theme.custom': 'Benutzerdefiniert',
+    'config.themeBackground': 'Kartenhintergrund',
+    'config.themeText': 'Text',
+    'config.themeReference': 'Vergleichsreihe',
+    'config.colors': 'Farben',
+    'config.customColors': 'Eigene Farben verwenden',
+    'config.favorable': 'Positive Veränderung',
+    'config.unfavorable': 'Negative Veränderung',
+    'config.neutral': 'Keine wesentliche Änderung',
+    'config.neutralHint': 'Änderungen innerhalb des neutralen Bereichs erscheinen auf Karten, in Tooltips und Balken in der neutralen Farbe.',
+    'config.neutralBand': 'Neutraler Bereich',
+    'config.neutralMode.percent': '% vom Vergleichswert',
+    'config.neutralMode.absolute': 'Absolut',
+    'config.layout': 'Kartenlayout',
+    'config.layoutMode': 'Darstellung',
+    'config.cardLayout.full': 'Vollständige Karte',
+    'config.cardLayout.valueDelta': 'Wert + Abweichung',
+    'config.cardLayout.value': 'Nur Wert',
+    'config.cardLayout.sparkline': 'Sparkline-Streifen',
+    'config.cardLayout.row': 'Horizontale Zeilen',
+    'config.columns': 'Spalten',
+    'config.auto': 'Automatisch',
+    'config.showCharts': 'Diagramme anzeigen',
+    'config.cardSort': 'Karten sortieren nach',
+    'config.cardSort.none': 'Feldreihenfolge',
+    'config.cardSort.value': 'Aktueller Wert',
+    'config.cardSort.delta': 'Abweichung zum ersten Vergleich',
+    'config.cardSort.alpha': 'Name (A–Z)',
+    'config.cardGrouping': 'Karten gruppieren nach',
+    'config.cardGrouping.metric': 'Kennzahl',
+    'config.cardGrouping.detail': 'Detailelement',
+    'config.detailLimit': 'Detailelemente pro Kennzahl',
+    'config.detailLimitHint': '0 = alle',
+    'config.showOthers': 'Karte „Sonstige“ für den Rest hinzufügen',
+    'config.interaction': 'Interaktion',
+    'config.clickAction': 'Klick auf Karte oder Bereichsauswahl im Diagramm',
+    'config.click.none': 'Keine Aktion',
+    'config.click.select': 'Markierungen auswählen',
+    'config.click.filter': 'Arbeitsblatt filtern',
+    'config.parameters': 'Parameter',
+    'config.parametersHint': 'Verknüpfte Steuerelemente folgen dem Parameter und schreiben Änderungen zurück.',
+    'config.notBound': 'Nicht verknüpft',
+    'config.binding.period': 'Zeitraum',
+    'config.binding.granularity': 'Granularität',
+    'config.binding.rollingCount': 'Rollierende Anzahl',
+    'config.binding.anchorDate': 'Stichtag',
+    'config.viewers': 'Betrachter',
+    'config.viewerControls': 'Betrachter dürfen den Zeitraum ändern',
+    'config.data': 'Daten',
+    'config.dataAccess': 'Datenzugriff',
+    'config.data.summary': 'Blattdaten lesen (Filter bleiben unverändert)',
+    'config.data.filter': 'Temporäre Datumsfilter (werden wiederhergestellt)',
+    'config.language': 'Sprache',
+    'config.languageAuto': 'Sprache der Arbeitsmappe',
+    'config.cancel': 'Abbrechen',
+    'config.saveFailed': 'Einstellungen konnten nicht gespeichert werden: {message}',
+    'config.save': 'Speichern'
+  },
+
+  es: {
+    'app.emptyTitle': 'Seleccione una métrica y una fecha',
+    'app.emptyHint': 'Agregue campos a la extensión para ver datos.',
+    'app.missingDateTitle': 'Falta el campo de fecha',
+    'app.missingDateHint': 'Arrastre un campo de fecha al cuadro "Dates" de la tarjeta Marcas.',
+    'app.others': 'Otros ({count})',
+    'card.approximate': 'Total aproximado: {aggregation} no se puede volver a agregar a partir de las filas de la hoja. Para un valor exacto, quite la fecha del nivel de detalle o use una medida aditiva.',
+    'card.othersUnavailable': 'Sin valor: esta agregación de los miembros restantes no se puede combinar a partir de sus totales y los datos subyacentes para un valor exacto no están disponibles.',
+    'chart.approximate': '{aggregation} a partir de valores diarios',
+
+    'period.mtd': 'Mes actual',
+    'period.qtd': 'Trimestre actual',
+    'period.ytd': 'Año actual',
+    'period.rolling': 'Móvil',
+    'period.rollingTitle': 'Periodo móvil de {count} {unit}',
+    'period.toDateTitle': '{period} - {granularity}',
+    'period.lastWeek': 'Última semana completa',
+    'period.lastMonth': 'Último mes completo',
+    'period.lastQuarter': 'Último trimestre completo',
+    'period.lastYear': 'Último año completo',
+    'period.custom': 'Rango personalizado',
+    'period.customTitle': '{start} - {end}',
+    'granularity.days': 'Días',
+    'granularity.weeks': 'Semanas',
+    'granularity.months': 'Meses',
+    'granularity.quarters': 'Trimestres',
+    'granularity.years': 'Años',
+    'unit.days': { one: 'día', other: 'días' },
+    'unit.weeks': { one: 'semana', other: 'semanas' },
+    'unit.months': { one: 'mes', other: 'meses' },
+    'unit.quarters': { one: 'trimestre', other: 'trimestres' },
+    'unit.years': { one: 'año', other: 'años' },
+    'unit.percentagePoints': '{value} p. p.',
+    'weekStart.monday': 'Lun',
+    'weekStart.sunday': 'Dom',
+
+    'controls.compare': 'Comparar',
+    'controls.customFrom': 'Desde',
+    'controls.customTo': 'Hasta',
+    'controls.compareFrom': 'Comparar desde',
+    'controls.compareTo': 'Comparar hasta',
+    'anchor.title': 'Fecha de referencia',
+    'anchor.today': 'Hoy',
+    'anchor.yesterday': 'Ayer',
+    'anchor.max': 'Última en los datos',
+    'anchor.fixed': 'Fecha fija',
+    'anchor.parameter': 'Parámetro',
+    'anchor.label': 'Al {date} ({source})',
+    'anchor.source.today': 'hoy',
+    'anchor.source.yesterday': 'ayer',
+    'anchor.source.max': 'últimos datos',
+    'anchor.source.fixed': 'fecha fija',
+    'anchor.source.parameter': 'parámetro',
+
+    'comparison.prevYear.label': 'Interanual',
+    'comparison.prevYear.title': 'Año contra año',
+    'comparison.prevYear.header': 'vs año anterior',
+    'comparison.prevMonth.label': 'Intermensual',
+    'comparison.prevMonth.title': 'Mes contra mes',
+    'comparison.prevMonth.header': 'vs mes anterior',
+    'comparison.prevQuarter.label': 'Trim.',
+    'comparison.prevQuarter.title': 'Trimestre contra trimestre',
+    'comparison.prevQuarter.header': 'vs trimestre anterior',
+    'comparison.prevWeek.label': 'Sem.',
+    'comparison.prevWeek.title': 'Semana contra semana',
+    'comparison.prevWeek.header': 'vs semana anterior',
+    'comparison.prevPeriod.label': 'Per.',
+    'comparison.prevPeriod.title': 'Periodo contra periodo (misma duración)',
+    'comparison.prevPeriod.header': 'vs periodo anterior',
+    'comparison.prevYearWeekday.label': 'Interanual (DS)',
+    'comparison.prevYearWeekday.title': 'Mismo día de la semana del año anterior',
+    'comparison.prevYearWeekday.header': 'vs mismo día de la semana del año anterior',
+    'comparison.custom.label': 'Pers.',
+    'comparison.custom.title': 'Rango de comparación personalizado',
+    'comparison.custom.header': 'vs Rango personalizado',
+    'comparison.filteredOut': 'fuera de las fechas filtradas',
+    'comparison.filteredOutTitle': 'El filtro de la hoja sobre {field} excluye este periodo de comparación. Amplíe el filtro para comparar con él.',
+
+    'target.label': 'Objetivo:',
+    'target.title': 'Objetivo: {value}',
+    'target.pacingTitle': 'Proyección al final del periodo: {value}',
+    'target.onTrack': 'En camino al {pct}',
+    'forecast.label': 'Previsión:',
+    'forecast.title': 'Valor previsto el {date} ({method})',
+    'forecast.bucket': '{date}: previsión {value}',
+    'forecast.method.linear': 'ritmo lineal',
+    'forecast.method.weekday': 'ponderada por día de la semana',
+    'forecast.method.lastYear': 'mismo perfil que el año pasado',
+
+    'interaction.selected': 'Seleccionado: {what}',
+    'interaction.filtered': 'Filtrado: {what}',
+    'interaction.clear': '✕ Borrar',
+    'interaction.clearTitle': 'Borrar (Esc)',
+
+    'menu.reload': '🔄 Recargar extensión',
+    'menu.clearInteraction': '✕ Borrar selección / filtro',
+    'menu.configure': '⚙️ Configurar…',
+
+    'tooltip.selected': '{metric} (selección)',
+    'tooltip.range': 'Rango:',
+    'tooltip.count': 'Cantidad:',
+    'tooltip.bucketCount': '{count} {unit}',
+    'tooltip.sum': 'Suma:',
+    'tooltip.referenceSum': '{reference}, suma:',
+    'tooltip.deltaVs': 'Δ vs. {reference}:',
+    'tooltip.runningTotal': 'Total acumulado:',
+    'tooltip.runningTotalAt': 'Total acumulado al {date}:',
+    'tooltip.runningGap': 'Brecha acumulada:',
+    'tooltip.runningGapVs': 'Brecha acumulada vs. {reference}:',
+    'tooltip.bucketValue': 'Este intervalo:',
+    'tooltip.delta': 'Δ:',
+    'tooltip.period': 'Periodo:',
+    'tooltip.value': 'Valor:',
+    'tooltip.vsTarget': 'vs objetivo',
+    'tooltip.target': 'Objetivo:',
+    'tooltip.attainment': 'Cumplimiento:',
+    'tooltip.gap': 'Diferencia:',
+    'tooltip.pacing': 'Proyección:',
+    'tooltip.forecast': 'Previsión',
+    'tooltip.forecastMethod': 'Método:',
+    'tooltip.projected': 'Previsto ({date}):',
+    'tooltip.remaining': 'Resto del periodo:',
+    'tooltip.date': 'Fecha:',
+    'tooltip.fiscalWeek': 'semana {week}',
+    'tooltip.partial': 'Periodo incompleto: {days} de {total} días',
+    'tooltip.partialToday': 'Periodo incompleto: incluye hoy',
+    'tooltip.perDay': 'Promedio por día',
+    'tooltip.dayCount': 'Días:',
+    'tooltip.scaledDays': 'Escalado de {from} a {to}',
+    'tooltip.current': 'Actual:',
+    'tooltip.reference': 'Referencia:',
+    'tooltip.referenceValue': '{reference}:',
+    'tooltip.referenceDate': 'Comparado con:',
+
+    'config.title': 'Configurar tarjetas KPI',
+    'config.defaultView': 'Vista predeterminada',
+    'config.period': 'Periodo',
+    'config.weekStart': 'La semana empieza el',
+    'config.monday': 'Lunes',
+    'config.sunday': 'Domingo',
+    'config.fiscalStartMonth': 'El año fiscal empieza en',
+    'config.fiscalCalendar': 'Meses y trimestres',
+    'config.fiscalCalendar.gregorian': 'Meses naturales',
+    'config.fiscalCalendar.445': 'Minorista 4-4-5 semanas',
+    'config.fiscalCalendar.454': 'Minorista 4-5-4 semanas',
+    'config.fiscalCalendar.544': 'Minorista 5-4-4 semanas',
+    'config.rollingCount': 'Longitud del periodo móvil',
+    'config.customRange': 'Rango personalizado',
+    'config.comparisons': 'Comparaciones',
+    'config.compareRange': 'Rango de comparación personalizado',
+    'config.yoyAlignment': 'Comparación interanual',
+    'config.yoyAlignment.date': 'Misma fecha',
+    'config.yoyAlignment.weekday': 'Mismo día de la semana (364 días antes)',
+    'config.chartReference': 'Referencia del gráfico',
+    'config.chartReference2': 'Segunda referencia del gráfico',
+    'config.cumulativeCharts': 'Totales acumulados en gráficos',
+    'chartReference.prevPeriod': 'Periodo anterior',
+    'chartReference.prevYear': 'Año anterior',
+    'chartReference.target': 'Objetivo',
+    'chartReference.none': 'Ninguna',
+    'config.incompletePeriods': 'Periodos incompletos',
+    'config.incompletePeriods.show': 'Mostrar tal cual',
+    'config.incompletePeriods.exclude': 'Excluir',
+    'config.incompletePeriods.faded': 'Rayados y atenuados',
+    'config.incompletePeriods.perDay': 'Promedio por día',
+    'config.forecast': 'Previsión',
+    'config.forecastMethod': 'Proyección para MTD / QTD / YTD',
+    'config.forecast.none': 'Desactivada',
+    'config.forecast.linear': 'Ritmo lineal',
+    'config.forecast.weekday': 'Ponderada por día de la semana',
+    'config.forecast.lastYear': 'Mismo perfil que el año pasado',
+    'config.numberFormat': 'Formato de números',
+    'config.decimals': 'Decimales',
+    'config.compact': 'Números compactos (K / M / B)',
+    'config.currency': 'Código de moneda',
+    'config.currencyHint': 'p. ej. EUR, USD',
+    'config.negativeStyle': 'Números negativos',
+    'config.tableauFormat': 'Usar el formato numérico del campo en Tableau',
+    'config.perMetric': 'Por métrica',
+    'config.format.auto': 'Predeterminado',
+    'config.format.number': 'Número',
+    'config.format.currency': 'Moneda',
+    'config.format.percent': 'Porcentaje',
+    'config.format.tableau': 'Formato de Tableau',
+    'config.default': 'Predeterminado',
+    'config.decimalsShort': { one: '{count} decimal', other: '{count} decimales' },
+    'config.compactOn': 'Compacto',
+    'config.compactOff': 'Completo',
+    'config.theme': 'Tema',
+    'config.themeMode': 'Paleta',
+    'config.theme.auto': 'Como el libro',
+    'config.theme.light': 'Claro',
+    'config.theme.dark': 'Oscuro',
+    'config.theme.custom': 'Personalizado',
+    'config.themeBackground': 'Fondo de la tarjeta',
+    'config.themeText': 'Texto',
+    'config.themeReference': 'Serie de referencia',
+    'config.colors': 'Colores',
+    'config.customColors': 'Usar colores propios',
+    'config.favorable': 'Cambio favorable',
+    'config.unfavorable': 'Cambio desfavorable',
+    'config.neutral': 'Sin cambio significativo',
+    'config.neutralHint': 'Los cambios dentro de la banda neutra usan el color neutro en tarjetas, descripciones y barras.',
+    'config.neutralBand': 'Banda neutra',
+    'config.neutralMode.percent': '% de la referencia',
+    'config.neutralMode.absolute': 'Absoluta',
+    'config.layout': 'Diseño de tarjetas',
+    'config.layoutMode': 'Diseño',
+    'config.cardLayout.full': 'Tarjeta completa',
+    'config.cardLayout.valueDelta': 'Valor + variación',
+    'config.cardLayout.value': 'Solo valor',
+    'config.cardLayout.sparkline': 'Franja con minigráfico',
+    'config.cardLayout.row': 'Filas horizontales',
+    'config.columns': 'Columnas',
+    'config.auto': 'Automático',
+    'config.showCharts': 'Mostrar gráficos',
+    'config.cardSort': 'Ordenar tarjetas por',
+    'config.cardSort.none': 'Orden de campos',
+    'config.cardSort.value': 'Valor actual',
+    'config.cardSort.delta': 'Variación frente a la primera comparación',
+    'config.cardSort.alpha': 'Nombre (A–Z)',
+    'config.cardGrouping': 'Agrupar tarjetas por',
+    'config.cardGrouping.metric': 'Métrica',
+    'config.cardGrouping.detail': 'Miembro de detalle',
+    'config.detailLimit': 'Miembros de detalle por métrica',
+    'config.detailLimitHint': '0 = todos',
+    'config.showOthers': 'Añadir una tarjeta "Otros" con el resto',
+    'config.interaction': 'Interacción',
+    'config.clickAction': 'Al hacer clic en una tarjeta o seleccionar en un gráfico',
+    'config.click.none': 'No hace nada',
+    'config.click.select': 'Selecciona marcas',
+    'config.click.filter': 'Filtra la hoja',
+    'config.parameters': 'Parámetros',
+    'config.parametersHint': 'Los controles vinculados siguen al parámetro y le devuelven los cambios.',
+    'config.notBound': 'Sin vincular',
+    'config.binding.period': 'Periodo',
+    'config.binding.granularity': 'Granularidad',
+    'config.binding.rollingCount': 'Longitud del periodo móvil',
+    'config.binding.anchorDate': 'Fecha de referencia',
+    'config.viewers': 'Lectores',
+    'config.viewerControls': 'Los lectores pueden cambiar el periodo',
+    'config.data': 'Datos',
+    'config.dataAccess': 'Acceso a datos',
+    'config.data.summary': 'Leer los datos de la hoja (nunca cambia filtros)',
+    'config.data.filter': 'Filtros de fecha temporales (se restauran después)',
+    'config.language': 'Idioma',
+    'config.languageAuto': 'Idioma del libro',
+    'config.cancel': 'Cancelar',
+    'config.saveFailed': 'No se pudo guardar la configuración: {message}',
+    'config.save': 'Guardar'
+  }
+};
+
+let currentLanguage = 'en';
+let currentLocale = 'en-US';
+
+// Catalog language: the author's pick, else the environment locale ('de-de' -> 'de')
+export function resolveLanguage(override, environmentLocale) {
+  if (LANGUAGES.includes(override)) return override;
+  const language = String(environmentLocale || '').slice(0, 2).toLowerCase();
+  return LANGUAGES.includes(language) ? language : 'en';
+}
+
+// Switch the catalog. Numbers and dates keep the environment locale's regional
+// format when it matches the language (de-at stays de-at), otherwise use the language.
+export function setLanguage(language, environmentLocale) {
+  currentLanguage = LANGUAGES.includes(language) ? language : 'en';
+  const envLocale = String(environmentLocale || '');
+  currentLocale = envLocale.slice(0, 2).toLowerCase() === currentLanguage ? envLocale : currentLanguage;
+}
+
+export function getLanguage() {
+  return currentLanguage;
+}
+
+// Locale for Intl number and date formatting
+export function getLocale() {
+  return currentLocale;
+}
+
+// Translate a key, filling {placeholders} from params. Falls back to English, then the key.
+export function t(key, params = {}) {
+  let message = MESSAGES[currentLanguage][key] ?? MESSAGES.en[key] ?? key;
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLanguage).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// Date formats. All extension dates are UTC days, so they are formatted in UTC.
+const DATE_STYLES = {
+  long: { month: 'short', day: 'numeric', year: 'numeric' }, // Mar 5, 2024
+  short: { month: 'short', day: 'numeric' } // Mar 5
+};
+
+export function formatDate(date, style = 'long') {
+  return new Intl.DateTimeFormat(currentLocale, { ...DATE_STYLES[style], timeZone: 'UTC' }).format(date);
+}
+
+// Translate static markup: data-i18n (text), data-i18n-title, data-i18n-label (optgroup),
+// data-i18n-placeholder
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-label]').forEach(el => { el.label = t(el.dataset.i18nLabel); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  if (root.documentElement) root.documentElement.lang = currentLanguage;
+}
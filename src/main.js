@@ -1,5 +1,10 @@
 import './style.css';
 import * as d3 from 'd3';
+import { SETTINGS_KEYS, DISPLAY_DEFAULTS, DATA_ACCESS_MODES, readDisplaySettings, readParameterBindings, readMetricFormats, readNeutralBands } from './settings.js';
+import { formatValue, formatPercent, inferFormatFromSample } from './format.js';
+import { resolveLanguage, setLanguage, getLocale, t, formatDate, applyTranslations } from './i18n.js';
+import { applyTheme, readWorkbookFormatting } from './theme.js';
+import { getPeriodRange, getAdjacentPeriod, shiftRange, shiftUTCDays, shiftUTCMonths, getFiscalWeek, isRetailCalendar } from './calendar.js';
 
 // -------------------- State --------------------
 let state = {
@@ -8,16 +13,43 @@ let state = {
   granularity: 'days',
   weekStart: 'monday',
   rollingCount: 30,
+  anchorMode: 'today', // 'today' | 'yesterday' | 'max' | 'fixed' | 'parameter'
+  anchorFixedDate: '', // YYYY-MM-DD, used when anchorMode is 'fixed'
+  anchorParameter: '', // Parameter name, used when anchorMode is 'parameter'
+  anchorDate: null, // Resolved anchor date of the last refresh
+  customStart: '', // YYYY-MM-DD range of the 'custom' period
+  customEnd: '',
+  compareStart: '', // YYYY-MM-DD range of the 'custom' comparison
+  compareEnd: '',
+  parameterBindings: {}, // Control -> workbook parameter name (see PARAMETER_BINDINGS)
+  dateFieldName: null, // Date field of the last refresh
+  detailMembers: new Map(), // detailKey -> [{ fieldName, value }] of the last refresh
+  interaction: null, // Selection/filter applied from a card or chart: { action, detailKey, range }
+  comparisons: ['prevYear', 'prevMonth'], // Comparison ids shown on cards (see COMPARISONS)
+  display: { ...DISPLAY_DEFAULTS }, // Presentation options from the configure dialog
+  metricFormats: {}, // Per-metric number format overrides (see readMetricFormats)
+  neutralBands: {}, // Per-metric neutral band overrides (see readNeutralBands)
+  workbookFormatting: null, // Font and colors from the workbook (see readWorkbookFormatting)
   isCalculating: false,
+  dataAccessMode: 'summary', // 'summary' (read sheet data, filter locally) | 'filter' (temporary date filters)
   isApplyingOwnFilters: false,
+  ownFilterActive: false, // A temporary date filter of ours is currently applied
+  originalDateFilter: null, // Author's date filter captured before our temporary filter
+  liftDateFilter: false, // 'summary' mode: the author's date filter hides some ranges (see getDateFilterCoverage)
+  filteredOutComparisons: [], // Comparison ids outside a date-part filter that is not lifted
   unregisterDataHandler: null,
   unregisterFilterHandler: null,
   handleDataChange: null,
   handleFilterChange: null,
   lastStateHash: null, // Hash to detect real changes
   chartCache: {}, // Cache for chart data to avoid re-fetching
+  renderedCards: [], // Cards of the last render, redrawn when the zone is resized
   currentSessionId: 0, // Session ID for cancellation mechanism
-  specCheckInterval: null, // Interval for polling visual spec changes
+  unregisterParameterHandlers: [],
+  unregisterSelectionHandler: null,
+  unregisterFormattingHandler: null,
+  pendingRefresh: false, // A change arrived while the document was hidden
+  specCheckInterval: null, // Low-frequency encoding poll (authoring mode only)
   lastSpecHash: null, // Last visual spec hash for change detection
   ignoreEventsUntil: 0 // Timestamp to ignore events until (grace period)
 };
@@ -32,7 +64,12 @@ const granularityConfig = {
   mtd: ['days', 'weeks'],
   qtd: ['weeks', 'months'],
   ytd: ['months', 'quarters'],
-  rolling: ['days', 'weeks', 'months', 'quarters', 'years']
+  rolling: ['days', 'weeks', 'months', 'quarters', 'years'],
+  lastWeek: ['days'],
+  lastMonth: ['days', 'weeks'],
+  lastQuarter: ['weeks', 'months'],
+  lastYear: ['months', 'quarters'],
+  custom: ['days', 'weeks', 'months']
 };
 
 // Default rolling counts for each granularity
@@ -66,6 +103,19 @@ function canPreaggregate(fieldName) {
   return aggType && PREAGGREGATABLE_FUNCTIONS.includes(aggType);
 }
 
+// Aggregations that can be recomputed exactly from row-level (underlying) data.
+// AGG(...) calculations such as ratios, ATTR, percentiles etc. cannot.
+const ROW_LEVEL_FUNCTIONS = ['SUM', 'CNT', 'COUNT', 'CNTD', 'COUNTD', 'MIN', 'MAX', 'AVG', 'MEDIAN'];
+
+// Underlying rows read at most for exact totals; larger sources keep the approximation
+const UNDERLYING_MAX_ROWS = 200000;
+
+// "AVG(Discount)" -> "Discount": the column name in the underlying data
+function getSourceFieldName(fieldName) {
+  const match = fieldName ? fieldName.match(/^[A-Z]+\s*\((.*)\)$/i) : null;
+  return match ? match[1] : fieldName;
+}
+
 // Update the custom selector display text
 function updateSelectorDisplay() {
   const select = document.getElementById('period-granularity-select');
@@ -78,42 +128,201 @@ function updateSelectorDisplay() {
   }
 }
 
+// Period part of a card subtitle: "Rolling 30 Days", "MTD - Days" or the custom range's dates
+function formatPeriodText() {
+  if (state.selectedPeriod === 'custom') {
+    const range = getRange('custom', state.anchorDate || getTodayUTC());
+    return t('period.customTitle', { start: formatDate(range.start), end: formatDate(range.end) });
+  }
+  if (state.selectedPeriod === 'rolling') {
+    return t('period.rollingTitle', {
+      count: state.rollingCount,
+      unit: t(`unit.${state.granularity}`, { count: state.rollingCount })
+    });
+  }
+  return t('period.toDateTitle', {
+    period: t(`period.${state.selectedPeriod}`),
+    granularity: t(`granularity.${state.granularity}`)
+  });
+}
+
+// -------------------- Settings --------------------
+// Control values persisted in the workbook via tableau.extensions.settings (keys in settings.js)
+const ROLLING_MIN = 4;
+const ROLLING_MAX = 30;
+
+let settingsSaveQueue = Promise.resolve();
+
+// Read saved control values into state, ignoring anything invalid
+function loadControlSettings() {
+  const settings = window.tableau?.extensions?.settings;
+  if (!settings) return;
+
+  const period = settings.get(SETTINGS_KEYS.selectedPeriod);
+  const granularity = settings.get(SETTINGS_KEYS.granularity);
+  if (granularityConfig[period] && granularityConfig[period].includes(granularity)) {
+    state.selectedPeriod = period;
+    state.granularity = granularity;
+  }
+
+  const weekStart = settings.get(SETTINGS_KEYS.weekStart);
+  if (weekStart === 'monday' || weekStart === 'sunday') {
+    state.weekStart = weekStart;
+  }
+
+  const rollingCount = parseInt(settings.get(SETTINGS_KEYS.rollingCount));
+  if (rollingCount >= ROLLING_MIN && rollingCount <= ROLLING_MAX) {
+    state.rollingCount = rollingCount;
+  }
+
+  const anchorMode = settings.get(SETTINGS_KEYS.anchorMode);
+  if (ANCHOR_MODES.includes(anchorMode)) {
+    state.anchorMode = anchorMode;
+  }
+  state.anchorFixedDate = settings.get(SETTINGS_KEYS.anchorFixedDate) || '';
+  state.anchorParameter = settings.get(SETTINGS_KEYS.anchorParameter) || '';
+  state.customStart = settings.get(SETTINGS_KEYS.customStart) || '';
+  state.customEnd = settings.get(SETTINGS_KEYS.customEnd) || '';
+  state.compareStart = settings.get(SETTINGS_KEYS.compareStart) || '';
+  state.compareEnd = settings.get(SETTINGS_KEYS.compareEnd) || '';
+
+  try {
+    const comparisons = JSON.parse(settings.get(SETTINGS_KEYS.comparisons) || 'null');
+    if (Array.isArray(comparisons)) {
+      state.comparisons = comparisons.filter(id => COMPARISONS[id]);
+    }
+  } catch (e) {
+    // Keep defaults on malformed value
+  }
+
+  state.display = readDisplaySettings(settings);
+  state.metricFormats = readMetricFormats(settings);
+  state.neutralBands = readNeutralBands(settings);
+  state.parameterBindings = readParameterBindings(settings);
+
+  const dataAccessMode = settings.get(SETTINGS_KEYS.dataAccessMode);
+  if (DATA_ACCESS_MODES.includes(dataAccessMode)) {
+    state.dataAccessMode = dataAccessMode;
+  }
+}
+
+// Persist current control values. saveAsync fails in viewing mode (no authoring rights),
+// so errors are swallowed and saves are queued to avoid overlapping calls.
+function saveControlSettings() {
+  const settings = window.tableau?.extensions?.settings;
+  if (!settings) return Promise.resolve();
+
+  settings.set(SETTINGS_KEYS.selectedPeriod, state.selectedPeriod);
+  settings.set(SETTINGS_KEYS.granularity, state.granularity);
+  settings.set(SETTINGS_KEYS.weekStart, state.weekStart);
+  settings.set(SETTINGS_KEYS.rollingCount, String(state.rollingCount));
+  settings.set(SETTINGS_KEYS.anchorMode, state.anchorMode);
+  settings.set(SETTINGS_KEYS.anchorFixedDate, state.anchorFixedDate);
+  settings.set(SETTINGS_KEYS.anchorParameter, state.anchorParameter);
+  settings.set(SETTINGS_KEYS.customStart, state.customStart);
+  settings.set(SETTINGS_KEYS.customEnd, state.customEnd);
+  settings.set(SETTINGS_KEYS.compareStart, state.compareStart);
+  settings.set(SETTINGS_KEYS.compareEnd, state.compareEnd);
+  settings.set(SETTINGS_KEYS.comparisons, JSON.stringify(state.comparisons));
+
+  settingsSaveQueue = settingsSaveQueue
+    .then(() => settings.saveAsync())
+    .catch(() => { });
+  return settingsSaveQueue;
+}
+
+// Push state values into the DOM controls
+function syncControlsToState() {
+  const select = document.getElementById('period-granularity-select');
+  const weekStartSelect = document.getElementById('week-start-select');
+  const rollingSlider = document.getElementById('rolling-slider');
+  const rollingInput = document.getElementById('rolling-input');
+  const anchorSelect = document.getElementById('anchor-select');
+  const anchorDateInput = document.getElementById('anchor-date-input');
+
+  if (select) select.value = `${state.selectedPeriod}|${state.granularity}`;
+  if (weekStartSelect) weekStartSelect.value = state.weekStart;
+  if (rollingSlider) rollingSlider.value = state.rollingCount;
+  if (rollingInput) rollingInput.value = state.rollingCount;
+  if (anchorSelect) {
+    anchorSelect.value = state.anchorMode === 'parameter'
+      ? `parameter|${state.anchorParameter}`
+      : state.anchorMode;
+  }
+  if (anchorDateInput) {
+    anchorDateInput.value = state.anchorMode === 'parameter'
+      ? (state.anchorDate ? state.anchorDate.toISOString().slice(0, 10) : '')
+      : state.anchorFixedDate;
+  }
+
+  const dateInputs = {
+    'custom-start-input': state.customStart,
+    'custom-end-input': state.customEnd,
+    'compare-start-input': state.compareStart,
+    'compare-end-input': state.compareEnd
+  };
+  Object.entries(dateInputs).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  });
+
+  document.querySelectorAll('#comparisons-menu input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = state.comparisons.includes(checkbox.value);
+  });
+}
+
 // Initialize controls
 function initializeControls() {
   state.selectedPeriod = 'rolling';
   state.granularity = 'days';
   state.weekStart = 'monday';
-  state.rollingCount = 30;
+  state.rollingCount = rollingDefaults.days;
+
+  // Restore the author's saved view (if any) on top of the defaults
+  loadControlSettings();
 
-  updateControlsVisibility();
+  syncControlsToState();
+  updateControlsVisibility(false);
   updateSelectorDisplay();
 }
 
 // Update visibility of week-start and rolling controls
-function updateControlsVisibility() {
+// resetRollingCount: apply the granularity's default count (on user granularity change)
+function updateControlsVisibility(resetRollingCount = true) {
   const weekStartGroup = document.getElementById('week-start-group');
   const rollingControls = document.getElementById('rolling-controls');
   const rollingSlider = document.getElementById('rolling-slider');
   const rollingInput = document.getElementById('rolling-input');
 
-  // Show week-start only if granularity is 'weeks'
-  if (state.granularity === 'weeks') {
+  // Show week-start only if granularity is 'weeks' (or the period is a whole week)
+  if (state.granularity === 'weeks' || state.selectedPeriod === 'lastWeek') {
     weekStartGroup.classList.remove('hidden');
   } else {
     weekStartGroup.classList.add('hidden');
   }
 
+  // A custom range has its own dates instead of an anchor
+  const isCustom = state.selectedPeriod === 'custom';
+  document.getElementById('custom-range-group')?.classList.toggle('hidden', !isCustom);
+  document.getElementById('anchor-group')?.classList.toggle('hidden', isCustom);
+
+  // Show the date input for a fixed date or a parameter (edits are written to the parameter)
+  const anchorDateInput = document.getElementById('anchor-date-input');
+  if (anchorDateInput) {
+    anchorDateInput.classList.toggle('hidden', state.anchorMode !== 'fixed' && state.anchorMode !== 'parameter');
+  }
+
   // Show rolling controls only if period is 'rolling'
   if (state.selectedPeriod === 'rolling') {
     rollingControls.classList.remove('hidden');
 
     // Update rolling count default based on granularity
-    const defaultCount = rollingDefaults[state.granularity] || 30;
-    const maxCount = 30;
+    if (resetRollingCount) {
+      state.rollingCount = rollingDefaults[state.granularity] || 30;
+    }
 
-    rollingSlider.value = defaultCount;
-    rollingInput.value = defaultCount;
-    state.rollingCount = defaultCount;
+    rollingSlider.value = state.rollingCount;
+    rollingInput.value = state.rollingCount;
   } else {
     rollingControls.classList.add('hidden');
   }
@@ -121,7 +330,47 @@ function updateControlsVisibility() {
 
 
 // -------------------- Helpers --------------------
+// Calendar for months, quarters and years (fiscal year start, retail week patterns)
+function getCalendar() {
+  return {
+    type: state.display.fiscalCalendar,
+    startMonth: state.display.fiscalStartMonth,
+    weekStart: state.weekStart === 'sunday' ? 0 : 1
+  };
+}
+
+// Calendar unit of a to-date period or chart granularity
+const PERIOD_UNITS = { mtd: 'month', qtd: 'quarter', ytd: 'year', months: 'month', quarters: 'quarter', years: 'year' };
+
+// Complete periods: the last whole week, month, quarter or year before the anchor's
+const COMPLETE_PERIOD_UNITS = { lastWeek: 'week', lastMonth: 'month', lastQuarter: 'quarter', lastYear: 'year' };
+
+// Week (by the week start setting) containing date
+function getWeekRange(date) {
+  const weekStart = state.weekStart === 'sunday' ? 0 : 1;
+  const start = shiftUTCDays(date, -((date.getUTCDay() - weekStart + 7) % 7));
+  start.setUTCHours(0, 0, 0, 0);
+  const end = shiftUTCDays(start, 6);
+  end.setUTCHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+// Range between the custom start and end dates. A missing date falls back to the default
+// rolling window ending at the anchor; reversed dates are swapped.
+function getCustomRange(anchorDate) {
+  let start = parseAnchorValue(state.customStart) || shiftUTCDays(anchorDate, -(rollingDefaults.days - 1));
+  let end = parseAnchorValue(state.customEnd) || anchorDate;
+  if (start > end) [start, end] = [end, start];
+  return { start, end: new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1) };
+}
+
 function getRange(period, anchorDate) {
+  if (period === 'custom') return getCustomRange(anchorDate);
+  if (period === 'lastWeek') return getWeekRange(shiftUTCDays(anchorDate, -7));
+  if (COMPLETE_PERIOD_UNITS[period]) {
+    return getAdjacentPeriod(anchorDate, COMPLETE_PERIOD_UNITS[period], -1, getCalendar());
+  }
+
   const year = anchorDate.getUTCFullYear();
   const month = anchorDate.getUTCMonth();
   const day = anchorDate.getUTCDate();
@@ -129,13 +378,8 @@ function getRange(period, anchorDate) {
   let start, end;
   end = new Date(Date.UTC(year, month, day, 23, 59, 59, 999));
 
-  if (period === 'mtd') {
-    start = new Date(Date.UTC(year, month, 1, 0, 0, 0, 0));
-  } else if (period === 'qtd') {
-    const qStart = Math.floor(month / 3) * 3;
-    start = new Date(Date.UTC(year, qStart, 1, 0, 0, 0, 0));
-  } else if (period === 'ytd') {
-    start = new Date(Date.UTC(year, 0, 1, 0, 0, 0, 0));
+  if (period === 'mtd' || period === 'qtd' || period === 'ytd') {
+    start = getPeriodRange(anchorDate, PERIOD_UNITS[period], getCalendar()).start;
   } else if (period === 'rolling') {
     // Rolling period based on granularity and count
     const endDateUTC = new Date(Date.UTC(year, month, day, 0, 0, 0, 0));
@@ -155,49 +399,520 @@ function getRange(period, anchorDate) {
       const currentDay = start.getUTCDay();
       const daysToWeekStart = (currentDay - weekStart + 7) % 7;
       start.setDate(start.getDate() - daysToWeekStart);
-    } else if (granularity === 'months') {
-      start.setMonth(start.getMonth() - (count - 1));
-      start.setDate(1); // Start from beginning of month
-    } else if (granularity === 'quarters') {
-      start.setMonth(start.getMonth() - ((count - 1) * 3));
-      // Round to quarter start
-      const qStart = Math.floor(start.getMonth() / 3) * 3;
-      start.setMonth(qStart);
-      start.setDate(1);
-    } else if (granularity === 'years') {
-      start.setFullYear(start.getFullYear() - (count - 1));
-      start.setMonth(0);
-      start.setDate(1);
+    } else {
+      // Months, quarters, years: start of the period (count - 1) periods back
+      start = getAdjacentPeriod(endDateUTC, PERIOD_UNITS[granularity], -(count - 1), getCalendar()).start;
     }
   }
 
   return { start, end };
 }
 
+// Month, quarter and year comparisons follow the calendar (see shiftRange in calendar.js)
 function getPrevMonthRange(range) {
-  const start = new Date(range.start);
-  const end = new Date(range.end);
-  start.setUTCMonth(start.getUTCMonth() - 1);
-  end.setUTCMonth(end.getUTCMonth() - 1);
-  return { start, end };
+  return shiftRange(range, 'month', -1, getCalendar());
+}
+
+function getPrevQuarterRange(range) {
+  return shiftRange(range, 'quarter', -1, getCalendar());
+}
+
+function getPrevWeekRange(range) {
+  return { start: shiftUTCDays(range.start, -7), end: shiftUTCDays(range.end, -7) };
+}
+
+// Window of equal length ending the day before the current one starts
+function getPrevPeriodRange(range) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const dayCount = Math.round((range.end - range.start) / dayMs);
+  return { start: shiftUTCDays(range.start, -dayCount), end: shiftUTCDays(range.end, -dayCount) };
+}
+
+// Same weekday a year back (52 weeks = 364 days)
+function getSameWeekdayLastYearRange(range) {
+  return { start: shiftUTCDays(range.start, -364), end: shiftUTCDays(range.end, -364) };
 }
 
+// Same date or same weekday a year back (state.display.yoyAlignment). Retail calendars
+// always compare the same fiscal week and weekday, so 53-week years line up.
 function getPrevYearRange(range) {
-  const start = new Date(range.start);
-  const end = new Date(range.end);
-  start.setUTCFullYear(start.getUTCFullYear() - 1);
-  end.setUTCFullYear(end.getUTCFullYear() - 1);
-  return { start, end };
+  const calendar = getCalendar();
+  if (state.display.yoyAlignment === 'weekday' && !isRetailCalendar(calendar)) {
+    return getSameWeekdayLastYearRange(range);
+  }
+  return shiftRange(range, 'year', -1, calendar);
+}
+
+// The author's comparison dates; until both are set, the previous period of equal length
+function getCustomComparisonRange(range) {
+  let start = parseAnchorValue(state.compareStart);
+  let end = parseAnchorValue(state.compareEnd);
+  if (!start || !end) return getPrevPeriodRange(range);
+  if (start > end) [start, end] = [end, start];
+  return { start, end: new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1) };
 }
 
-function formatNumber(val, isPercentage) {
-  if (val === undefined || val === null) return '-';
+// Whole period containing the anchor (MTD -> full month, QTD -> full quarter,
+// YTD -> full year). Rolling, complete and custom ranges are already whole.
+function getFullPeriodRange(period, anchorDate) {
+  const range = getRange(period, anchorDate);
+  const unit = PERIOD_UNITS[period];
+  if (period === 'rolling' || !unit) return range;
+  return { start: range.start, end: getPeriodRange(anchorDate, unit, getCalendar()).end };
+}
+
+function countDays(range) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  return Math.max(1, Math.round((range.end - range.start) / dayMs));
+}
+
+// Attainment, gap and pacing of the current value against a full-period target. Pacing uses
+// the metric's forecast when one is configured, otherwise a linear run rate.
+function calculateTargetStatus(current, targetValue, currentRange, fullRange, isPercentage, forecast = null) {
+  if (!targetValue) return null;
+
+  const status = {
+    value: targetValue,
+    attainment: current / targetValue,
+    gap: current - targetValue,
+    pacing: null
+  };
+
+  // Pacing only makes sense for partial periods of additive metrics
+  const elapsedDays = countDays(currentRange);
+  const totalDays = fullRange ? countDays(fullRange) : elapsedDays;
+  if (['mtd', 'qtd', 'ytd'].includes(state.selectedPeriod) && !isPercentage && totalDays > elapsedDays) {
+    const projected = forecast ? forecast.projected : current * totalDays / elapsedDays;
+    status.pacing = { projected, attainment: projected / targetValue };
+  }
+
+  return status;
+}
+
+// Comparison with its range function; label, title and header follow the current language
+function defineComparison(id, getRange) {
+  return {
+    getRange,
+    get label() { return t(`comparison.${id}.label`); },
+    get title() { return t(`comparison.${id}.title`); },
+    get header() { return t(`comparison.${id}.header`); }
+  };
+}
+
+// Available comparisons. Ids double as range keys in `periods` and value keys on cards.
+const COMPARISONS = {
+  prevYear: defineComparison('prevYear', getPrevYearRange),
+  prevMonth: defineComparison('prevMonth', getPrevMonthRange),
+  prevQuarter: defineComparison('prevQuarter', getPrevQuarterRange),
+  prevWeek: defineComparison('prevWeek', getPrevWeekRange),
+  prevPeriod: defineComparison('prevPeriod', getPrevPeriodRange),
+  prevYearWeekday: defineComparison('prevYearWeekday', getSameWeekdayLastYearRange),
+  custom: defineComparison('custom', getCustomComparisonRange)
+};
+
+// Build the checkbox list for the comparisons picker
+function renderComparisonsMenu() {
+  const menu = document.getElementById('comparisons-menu');
+  if (!menu) return;
+
+  menu.innerHTML = Object.entries(COMPARISONS).map(([id, comp]) => `
+    <label class="control-menu-item" title="${comp.title}">
+      <input type="checkbox" value="${id}" ${state.comparisons.includes(id) ? 'checked' : ''}>
+      <span>${comp.label}</span>
+      <span class="control-menu-hint">${comp.header}</span>
+    </label>
+  `).join('') + `
+    <div id="compare-range" class="control-menu-range ${state.comparisons.includes('custom') ? '' : 'hidden'}">
+      <input type="date" id="compare-start-input" class="control-input-date" value="${state.compareStart}" title="${t('controls.compareFrom')}">
+      <input type="date" id="compare-end-input" class="control-input-date" value="${state.compareEnd}" title="${t('controls.compareTo')}">
+    </div>
+  `;
+}
+
+// Number format for a metric: display defaults, then the field's own Tableau format
+// (read from a formatted sample) when chosen, then the metric's explicit overrides
+function getFormatOptions(fieldName, isPercentage, sample = '') {
+  const display = state.display;
+  const override = (fieldName && state.metricFormats[fieldName]) || {};
+  const options = {
+    locale: getLocale(),
+    style: isPercentage ? 'percent' : 'number',
+    decimals: display.decimals,
+    compact: display.compactNumbers,
+    currency: display.currency,
+    negativeStyle: display.negativeStyle
+  };
+
+  const kind = override.format && override.format !== 'auto'
+    ? override.format
+    : (display.useTableauFormat ? 'tableau' : 'auto');
+  if (kind === 'tableau') {
+    Object.assign(options, inferFormatFromSample(sample, options.locale) || {});
+  } else if (kind === 'number' || kind === 'percent') {
+    options.style = kind;
+  } else if (kind === 'currency' && display.currency) {
+    options.style = 'currency';
+  }
+
+  if (override.decimals !== undefined) options.decimals = override.decimals;
+  if (override.compact !== undefined) options.compact = override.compact;
+  return options;
+}
+
+// Format a metric value with its format (from getFormatOptions), or the display defaults
+function formatNumber(val, isPercentage, format = null) {
+  return formatValue(val, format || getFormatOptions(null, isPercentage));
+}
+
+// Signed difference between two values: "+1.2K", or "+3.4 pp" for percentage metrics
+function formatDeltaValue(diff, isPercentage, format = null) {
   if (isPercentage) {
-    return (val * 100).toFixed(1) + '%';
+    return t('unit.percentagePoints', { value: formatValue(diff * 100, { locale: getLocale(), decimals: 1, signed: true }) });
+  }
+  return formatValue(diff, { ...(format || getFormatOptions(null, false)), signed: true });
+}
+
+// Relative change given in percent units (12.3 -> "+12.3%")
+function formatPercentChange(pct, signed = true) {
+  return formatPercent(pct / 100, { locale: getLocale(), signed });
+}
+
+// -------------------- Change Tone --------------------
+// Whether a change is good, bad or neutral. Changes inside the metric's neutral band
+// (and exact ties) are neutral; otherwise the sign decides, inverted for unfavorable metrics.
+// The same rule colors card deltas, tooltips and chart bars.
+const TREND_CLASSES = { good: 'trend-up', bad: 'trend-down', neutral: 'trend-neutral' };
+const TOOLTIP_TONE_CLASSES = { good: 'positive', bad: 'negative', neutral: 'neutral' };
+
+// Neutral band of a metric: { mode: 'percent' | 'absolute', value }. Absolute bands are
+// entered in the metric's display units, so percentage points for percentage metrics.
+function getNeutralBand(fieldName, isPercentage) {
+  const override = (fieldName && state.neutralBands[fieldName]) || {};
+  const mode = override.mode || state.display.neutralMode;
+  const value = override.value ?? state.display.neutralThreshold;
+  return { mode, value: mode === 'absolute' && isPercentage ? value / 100 : value };
+}
+
+function getChangeTone(diff, reference, isUnfavorable, neutralBand = null) {
+  if (!diff) return 'neutral';
+  if (neutralBand && neutralBand.value > 0) {
+    const size = neutralBand.mode === 'percent'
+      ? (reference ? Math.abs(diff / reference) * 100 : Infinity)
+      : Math.abs(diff);
+    if (size <= neutralBand.value) return 'neutral';
+  }
+  const isGood = isUnfavorable ? diff < 0 : diff > 0;
+  return isGood ? 'good' : 'bad';
+}
+
+function getToneColor(tone) {
+  if (tone === 'good') return getGoodColor();
+  if (tone === 'bad') return getBadColor();
+  return getNeutralColor();
+}
+
+// -------------------- Display Settings --------------------
+// Current value of a theme color (CSS custom property without the leading --)
+function getThemeColor(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+}
+
+// Chart colors: the author's picks in the configure dialog, else the theme's
+function getGoodColor() {
+  return state.display.positiveColor || getThemeColor('chart-good');
+}
+
+function getBadColor() {
+  return state.display.negativeColor || getThemeColor('chart-bad');
+}
+
+function getNeutralColor() {
+  return state.display.neutralColor || getThemeColor('chart-neutral');
+}
+
+function isAuthoringMode() {
+  return window.tableau?.extensions?.environment?.mode === 'authoring';
+}
+
+// Apply language, theme, colors and control visibility from state.display to the document
+function applyDisplaySettings() {
+  applyLanguage();
+
+  const root = document.documentElement;
+  if (!state.workbookFormatting) {
+    state.workbookFormatting = readWorkbookFormatting(window.tableau?.extensions?.environment);
+  }
+  applyTheme(root, state.display, state.workbookFormatting);
+  if (state.display.positiveColor) {
+    root.style.setProperty('--positive-color', state.display.positiveColor);
+  } else {
+    root.style.removeProperty('--positive-color');
+  }
+  if (state.display.negativeColor) {
+    root.style.setProperty('--negative-color', state.display.negativeColor);
+  } else {
+    root.style.removeProperty('--negative-color');
+  }
+  if (state.display.neutralColor) {
+    root.style.setProperty('--neutral-color', state.display.neutralColor);
+  } else {
+    root.style.removeProperty('--neutral-color');
+  }
+
+  // Authors always see the controls so they can set up the view
+  const controls = document.getElementById('controls-container');
+  if (controls) {
+    controls.classList.toggle('hidden', !state.display.allowViewerControls && !isAuthoringMode());
+  }
+}
+
+// Message catalog from the author's pick or the Tableau environment locale;
+// re-translates the static markup and the controls built from it
+function applyLanguage() {
+  const environmentLocale = window.tableau?.extensions?.environment?.locale || navigator.language;
+  setLanguage(resolveLanguage(state.display.language, environmentLocale), environmentLocale);
+  applyTranslations();
+  renderComparisonsMenu();
+  updateSelectorDisplay();
+}
+
+// Open the configure dialog; re-read settings and refresh once it closes.
+// The dialog gets the workbook parameters and metric fields as its payload (it has no worksheet access).
+async function openConfigureDialog() {
+  const worksheet = window.tableau.extensions.worksheetContent.worksheet;
+  const dialogUrl = new URL('config.html', window.location.href).href;
+  let parameters = [];
+  try {
+    parameters = (await worksheet.getParametersAsync()).map(p => ({ name: p.name, dataType: p.dataType }));
+  } catch (e) {
+    parameters = [];
+  }
+
+  let payload;
+  try {
+    const metrics = [...new Set((state.encodings?.orderedMetrics || []).map(m => m.name))];
+    payload = await window.tableau.extensions.ui.displayDialogAsync(dialogUrl, JSON.stringify({ parameters, metrics }), { width: 480, height: 640 });
+  } catch (e) {
+    // Closed with the window's X button (DialogClosedByUser) - nothing to apply
+    return;
+  }
+  if (payload !== 'saved') return;
+
+  loadControlSettings();
+  syncControlsToState();
+  updateControlsVisibility(false);
+  updateSelectorDisplay();
+  applyDisplaySettings();
+  await applyParameterBindings(worksheet);
+  syncControlsToState();
+  updateControlsVisibility(false);
+  updateSelectorDisplay();
+  state.lastStateHash = null;
+  state.chartCache = {};
+  await refreshKPIs(worksheet, 'configure');
+}
+
+// -------------------- Anchor Date --------------------
+// The anchor is the "as of" day every range is built from (end of MTD/QTD/YTD/Rolling)
+const ANCHOR_MODES = ['today', 'yesterday', 'max', 'fixed', 'parameter'];
+
+// Midnight UTC of the given calendar day (ranges are computed in UTC)
+function toUTCDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day, 0, 0, 0, 0));
+}
+
+// Today's local calendar date as a UTC day, so late-evening users don't jump a day
+function getTodayUTC() {
+  const now = new Date();
+  return toUTCDay(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// Parse "YYYY-MM-DD" (or any Date-compatible value) into a UTC day
+function parseAnchorValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date
+    ? value
+    : new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) return null;
+  return toUTCDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// Current value of a date/datetime workbook parameter
+async function getParameterDate(worksheet, parameterName) {
+  if (!parameterName || typeof worksheet.findParameterAsync !== 'function') return null;
+  const parameter = await worksheet.findParameterAsync(parameterName);
+  if (!parameter) return null;
+  return parseAnchorValue(parameter.currentValue.nativeValue ?? parameter.currentValue.value);
+}
+
+// Resolve state.anchorMode into a concrete date. Falls back to today when the
+// configured source has no usable value. The latest date comes from the sheet's
+// data index (see readSheetIndex).
+async function resolveAnchorDate(worksheet, sheetIndex) {
+  const today = getTodayUTC();
+  let anchor = null;
+
+  try {
+    if (state.anchorMode === 'yesterday') {
+      anchor = new Date(today);
+      anchor.setUTCDate(anchor.getUTCDate() - 1);
+    } else if (state.anchorMode === 'max') {
+      anchor = sheetIndex?.maxTime != null ? parseAnchorValue(new Date(sheetIndex.maxTime)) : null;
+    } else if (state.anchorMode === 'fixed') {
+      anchor = parseAnchorValue(state.anchorFixedDate);
+    } else if (state.anchorMode === 'parameter') {
+      anchor = await getParameterDate(worksheet, state.anchorParameter);
+    }
+  } catch (e) {
+    anchor = null;
+  }
+
+  return anchor || today;
+}
+
+// Fill the anchor selector with the workbook's date parameters
+async function populateAnchorParameterOptions(worksheet) {
+  const group = document.getElementById('anchor-parameter-group');
+  if (!group || typeof worksheet.getParametersAsync !== 'function') return;
+
+  try {
+    const parameters = await worksheet.getParametersAsync();
+    group.innerHTML = '';
+    parameters
+      .filter(p => p.dataType === 'date' || p.dataType === 'date-time')
+      .forEach(p => {
+        const option = document.createElement('option');
+        option.value = `parameter|${p.name}`;
+        option.textContent = p.name;
+        group.appendChild(option);
+      });
+    group.hidden = group.children.length === 0;
+  } catch (e) {
+    group.hidden = true;
+  }
+
+  syncControlsToState();
+}
+
+function formatAnchorLabel(anchorDate) {
+  if (!anchorDate || state.selectedPeriod === 'custom') return ''; // A custom range has its own dates
+  const sourceText = state.anchorMode === 'parameter' && state.anchorParameter
+    ? state.anchorParameter
+    : t(`anchor.source.${ANCHOR_MODES.includes(state.anchorMode) ? state.anchorMode : 'today'}`);
+  return t('anchor.label', { date: formatDate(anchorDate), source: sourceText });
+}
+
+// -------------------- Parameter Bindings --------------------
+// Period, granularity and rolling count can follow workbook parameters (bound in the
+// configure dialog). Parameter changes update the controls; control changes are
+// written back with changeValueAsync. The anchor date uses anchorMode 'parameter'.
+const BINDING_STATE_KEYS = {
+  period: 'selectedPeriod',
+  granularity: 'granularity',
+  rollingCount: 'rollingCount'
+};
+
+// Parameter values understood for each string binding (compared lowercase)
+const PERIOD_ALIASES = {
+  mtd: 'mtd', 'month to date': 'mtd',
+  qtd: 'qtd', 'quarter to date': 'qtd',
+  ytd: 'ytd', 'year to date': 'ytd',
+  rolling: 'rolling',
+  lastweek: 'lastWeek', 'last week': 'lastWeek', 'last full week': 'lastWeek',
+  lastmonth: 'lastMonth', 'last month': 'lastMonth', 'last full month': 'lastMonth',
+  lastquarter: 'lastQuarter', 'last quarter': 'lastQuarter', 'last full quarter': 'lastQuarter',
+  lastyear: 'lastYear', 'last year': 'lastYear', 'last full year': 'lastYear',
+  custom: 'custom', 'custom range': 'custom'
+};
+const GRANULARITY_ALIASES = {
+  day: 'days', days: 'days', daily: 'days',
+  week: 'weeks', weeks: 'weeks', weekly: 'weeks',
+  month: 'months', months: 'months', monthly: 'months',
+  quarter: 'quarters', quarters: 'quarters', quarterly: 'quarters',
+  year: 'years', years: 'years', yearly: 'years'
+};
+
+// Map a parameter value to the state value of a binding (null when not understood)
+function parseBoundValue(key, rawValue) {
+  if (key === 'rollingCount') {
+    const count = Math.round(Number(rawValue));
+    return isNaN(count) ? null : Math.max(ROLLING_MIN, Math.min(ROLLING_MAX, count));
+  }
+  const aliases = key === 'period' ? PERIOD_ALIASES : GRANULARITY_ALIASES;
+  return aliases[String(rawValue ?? '').trim().toLowerCase()] || null;
+}
+
+function getParameterRawValue(parameter) {
+  return parameter.currentValue.nativeValue ?? parameter.currentValue.value;
+}
+
+function getBindingKey(parameterName) {
+  return Object.keys(state.parameterBindings).find(key => state.parameterBindings[key] === parameterName) || null;
+}
+
+// Copy one bound parameter into state. Returns true when state changed.
+function applyBoundParameter(key, parameter) {
+  const value = parseBoundValue(key, getParameterRawValue(parameter));
+  if (value === null || value === state[BINDING_STATE_KEYS[key]]) return false;
+
+  state[BINDING_STATE_KEYS[key]] = value;
+  // Keep period and granularity a valid pair
+  const allowed = granularityConfig[state.selectedPeriod];
+  if (!allowed.includes(state.granularity)) {
+    state.granularity = allowed[0];
+  }
+  return true;
+}
+
+// Read every bound parameter into state. Returns true when state changed.
+async function applyParameterBindings(worksheet) {
+  let changed = false;
+  for (const [key, name] of Object.entries(state.parameterBindings)) {
+    try {
+      const parameter = await worksheet.findParameterAsync(name);
+      if (parameter && applyBoundParameter(key, parameter)) changed = true;
+    } catch (e) {
+      // Missing parameter - the control keeps its own value
+    }
+  }
+  return changed;
+}
+
+// Value to send: the matching entry of a list parameter (so lists like "MTD" or
+// "Week" keep their own spelling), otherwise the state value itself
+function toParameterValue(key, parameter, value) {
+  const allowable = parameter.allowableValues;
+  if (key !== 'rollingCount' && allowable?.type === 'list') {
+    const match = allowable.allowableValues.find(v => parseBoundValue(key, v.nativeValue ?? v.value) === value);
+    if (match) return match.nativeValue ?? match.value;
+  }
+  return value;
+}
+
+// Write control values back to their bound parameters. Only differing values are
+// sent, so the resulting ParameterChanged events find nothing new to apply.
+async function writeParameterBindings(worksheet) {
+  for (const [key, name] of Object.entries(state.parameterBindings)) {
+    try {
+      const parameter = await worksheet.findParameterAsync(name);
+      if (!parameter) continue;
+      const value = state[BINDING_STATE_KEYS[key]];
+      if (parseBoundValue(key, getParameterRawValue(parameter)) === value) continue;
+      await parameter.changeValueAsync(toParameterValue(key, parameter, value));
+    } catch (e) {
+      // Value rejected by the parameter (e.g. outside its range) - keep the control value
+    }
+  }
+}
+
+// Write a YYYY-MM-DD date to the anchor parameter. Its ParameterChanged event refreshes the cards.
+async function writeAnchorParameter(worksheet, value) {
+  try {
+    const parameter = await worksheet.findParameterAsync(state.anchorParameter);
+    if (parameter) await parameter.changeValueAsync(value);
+  } catch (e) {
+    // Date outside the parameter's range
   }
-  if (val >= 1000000) return (val / 1000000).toFixed(1) + 'M';
-  if (val >= 1000) return (val / 1000).toFixed(1) + 'K';
-  return val.toFixed(1);
 }
 
 // -------------------- Initialization --------------------
@@ -206,19 +921,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (!window.tableau) {
       throw new Error('Tableau Extensions API is not loaded.');
     }
-    await window.tableau.extensions.initializeAsync();
+    await window.tableau.extensions.initializeAsync({ configure: openConfigureDialog });
     const worksheet = window.tableau.extensions.worksheetContent.worksheet;
 
     // Initialize controls
     initializeControls();
+    observeContainerSize();
+    renderComparisonsMenu();
+    applyDisplaySettings();
+    await populateAnchorParameterOptions(worksheet);
+    if (await applyParameterBindings(worksheet)) {
+      syncControlsToState();
+      updateControlsVisibility(false);
+      updateSelectorDisplay();
+    }
 
     // UI listeners for controls
     document.getElementById('period-granularity-select').addEventListener('change', e => {
       const [period, granularity] = e.target.value.split('|');
       state.selectedPeriod = period;
       state.granularity = granularity;
+      if (period === 'custom' && (!state.customStart || !state.customEnd)) {
+        // Start from the range the custom period shows without dates
+        const range = getCustomRange(state.anchorDate || getTodayUTC());
+        state.customStart = range.start.toISOString().slice(0, 10);
+        state.customEnd = range.end.toISOString().slice(0, 10);
+        syncControlsToState();
+      }
       updateControlsVisibility();
       updateSelectorDisplay();
+      saveControlSettings();
+      writeParameterBindings(worksheet);
       state.lastStateHash = null;
       state.chartCache = {}; // Clear cache on period/granularity change
       refreshKPIs(worksheet);
@@ -226,11 +959,84 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     document.getElementById('week-start-select').addEventListener('change', e => {
       state.weekStart = e.target.value;
+      saveControlSettings();
       state.lastStateHash = null;
       state.chartCache = {}; // Clear cache on week start change
       refreshKPIs(worksheet);
     });
 
+    document.getElementById('anchor-select').addEventListener('change', e => {
+      const [mode, parameterName] = e.target.value.split('|');
+      state.anchorMode = mode;
+      if (mode === 'parameter') {
+        state.anchorParameter = parameterName || '';
+      }
+      if (mode === 'fixed' && !state.anchorFixedDate) {
+        state.anchorFixedDate = getTodayUTC().toISOString().slice(0, 10);
+        document.getElementById('anchor-date-input').value = state.anchorFixedDate;
+      }
+      updateControlsVisibility(false);
+      saveControlSettings();
+      state.lastStateHash = null;
+      state.chartCache = {}; // Clear cache on anchor change
+      refreshKPIs(worksheet);
+    });
+
+    document.getElementById('anchor-date-input').addEventListener('change', e => {
+      if (!parseAnchorValue(e.target.value)) return;
+      if (state.anchorMode === 'parameter') {
+        writeAnchorParameter(worksheet, e.target.value);
+        return;
+      }
+      state.anchorFixedDate = e.target.value;
+      saveControlSettings();
+      state.lastStateHash = null;
+      state.chartCache = {}; // Clear cache on anchor change
+      refreshKPIs(worksheet);
+    });
+
+    ['custom-start-input', 'custom-end-input'].forEach(id => {
+      document.getElementById(id).addEventListener('change', e => {
+        if (!parseAnchorValue(e.target.value)) return;
+        state[id === 'custom-start-input' ? 'customStart' : 'customEnd'] = e.target.value;
+        saveControlSettings();
+        state.lastStateHash = null;
+        state.chartCache = {}; // Clear cache on range change
+        refreshKPIs(worksheet);
+      });
+    });
+
+    const comparisonsMenu = document.getElementById('comparisons-menu');
+    document.getElementById('comparisons-button').addEventListener('click', e => {
+      e.stopPropagation();
+      comparisonsMenu.classList.toggle('hidden');
+    });
+    comparisonsMenu.addEventListener('click', e => e.stopPropagation());
+    document.addEventListener('click', () => comparisonsMenu.classList.add('hidden'));
+
+    comparisonsMenu.addEventListener('change', e => {
+      if (e.target.type === 'date') {
+        if (!parseAnchorValue(e.target.value)) return;
+        state[e.target.id === 'compare-start-input' ? 'compareStart' : 'compareEnd'] = e.target.value;
+      } else {
+        // Keep registry order so cards are stable regardless of click order
+        const checked = Array.from(comparisonsMenu.querySelectorAll('input:checked')).map(c => c.value);
+        state.comparisons = Object.keys(COMPARISONS).filter(id => checked.includes(id));
+      }
+
+      // A custom comparison starts from the previous period until dates are picked
+      if (state.comparisons.includes('custom') && (!state.compareStart || !state.compareEnd)) {
+        const range = getCustomComparisonRange(getRange(state.selectedPeriod, state.anchorDate || getTodayUTC()));
+        state.compareStart = range.start.toISOString().slice(0, 10);
+        state.compareEnd = range.end.toISOString().slice(0, 10);
+        syncControlsToState();
+      }
+      document.getElementById('compare-range').classList.toggle('hidden', !state.comparisons.includes('custom'));
+      saveControlSettings();
+      state.lastStateHash = null;
+      refreshKPIs(worksheet);
+    });
+
     const rollingSlider = document.getElementById('rolling-slider');
     const rollingInput = document.getElementById('rolling-input');
 
@@ -240,15 +1046,25 @@ document.addEventListener('DOMContentLoaded', async () => {
       state.rollingCount = value;
     });
 
+    rollingSlider.addEventListener('change', () => {
+      saveControlSettings();
+      writeParameterBindings(worksheet);
+      state.lastStateHash = null;
+      state.chartCache = {}; // Clear cache on rolling count change
+      refreshKPIs(worksheet);
+    });
+
     rollingInput.addEventListener('input', e => {
-      let value = parseInt(e.target.value) || 4;
-      value = Math.max(4, Math.min(30, value));
+      let value = parseInt(e.target.value) || ROLLING_MIN;
+      value = Math.max(ROLLING_MIN, Math.min(ROLLING_MAX, value));
       e.target.value = value;
       rollingSlider.value = value;
       state.rollingCount = value;
     });
 
     rollingInput.addEventListener('change', () => {
+      saveControlSettings();
+      writeParameterBindings(worksheet);
       state.lastStateHash = null;
       state.chartCache = {}; // Clear cache on rolling count change
       refreshKPIs(worksheet);
@@ -257,26 +1073,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize tooltip container
     initTooltip();
 
-    // Listen for data changes with debounce and filter check
-    let resizeTimer;
-    const handleDataChange = async () => {
-      // Ignore events triggered by our own filter changes or during grace period
-      if (state.isApplyingOwnFilters || Date.now() < state.ignoreEventsUntil) {
+    // Debounced refresh shared by all change events. While the document is hidden
+    // the refresh is deferred until it becomes visible again.
+    let resizeTimer = null;
+    const scheduleRefresh = (trigger) => {
+      if (document.hidden) {
+        state.pendingRefresh = true;
         return;
       }
 
       clearTimeout(resizeTimer);
       resizeTimer = setTimeout(async () => {
+        resizeTimer = null;
         if (!state.isApplyingOwnFilters) {
-          // Always refresh on data change to catch sorting/data updates
-          // checkForChanges is too aggressive caching and misses sorting changes
-          await refreshKPIs(worksheet);
+          await refreshKPIs(worksheet, trigger);
         }
       }, 1000); // Longer debounce to avoid rapid refreshes
     };
 
-    // Event-based change detection (no polling!)
     // Handle data changes - this catches: sorting, data updates, Details changes, metrics changes
+    const handleDataChange = async () => {
+      // Ignore events triggered by our own filter changes or during grace period
+      if (state.isApplyingOwnFilters || Date.now() < state.ignoreEventsUntil) {
+        return;
+      }
+
+      // Always refresh on data change to catch sorting/data updates
+      // checkForChanges is too aggressive caching and misses sorting changes
+      scheduleRefresh('data-change');
+    };
+
     state.unregisterDataHandler = worksheet.addEventListener(
       window.tableau.TableauEventType.SummaryDataChanged,
       handleDataChange
@@ -288,13 +1114,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (state.isApplyingOwnFilters || Date.now() < state.ignoreEventsUntil) {
         return;
       }
-
-      clearTimeout(resizeTimer);
-      resizeTimer = setTimeout(async () => {
-        if (!state.isApplyingOwnFilters) {
-          await refreshKPIs(worksheet);
-        }
-      }, 1000);
+      scheduleRefresh('filter-change');
     };
 
     state.unregisterFilterHandler = worksheet.addEventListener(
@@ -303,18 +1123,43 @@ document.addEventListener('DOMContentLoaded', async () => {
     );
     state.handleFilterChange = handleFilterChange;
 
-    // Polling for visual specification changes (Details, metrics, encodings)
-    // This is needed because SummaryDataChanged doesn't always fire for Detail changes
-    state.lastSpecHash = await computeStateHash(worksheet);
+    // Parameters can drive calculated fields, the anchor date and bound controls
+    state.unregisterParameterHandlers = await registerParameterHandlers(worksheet, async event => {
+      let parameter = null;
+      try {
+        parameter = await event.getParameterAsync();
+      } catch (e) {
+        parameter = null;
+      }
+
+      const bindingKey = parameter && getBindingKey(parameter.name);
+      if (bindingKey) {
+        // Echo of our own write-back - the controls already match
+        if (!applyBoundParameter(bindingKey, parameter)) return;
+
+        syncControlsToState();
+        updateControlsVisibility(false);
+        updateSelectorDisplay();
+        writeParameterBindings(worksheet); // Granularity may have been adjusted to fit the period
+        state.lastStateHash = null;
+        state.chartCache = {};
+      }
+      scheduleRefresh('parameter-change');
+    });
+
+    // Encoding edits (Details, metrics, targets) have no dedicated event, and
+    // SummaryDataChanged doesn't always fire for Detail changes. Compare an encoding hash
+    // when there is a hint of activity, plus a low-frequency poll while authoring
+    // (viewers cannot edit encodings). Filters have their own event and are not polled.
+    state.lastSpecHash = await computeSpecHash(worksheet);
     const checkSpecChanges = async () => {
-      // REMOVED GUARD: We need to detect user changes even if we are calculating!
-      // The hash computation excludes our own temp filters, so it is safe.
-      if (state.isApplyingOwnFilters || state.isCalculating || Date.now() < state.ignoreEventsUntil) {
+      // A running refresh reads the spec itself and updates lastSpecHash when done
+      if (document.hidden || state.isApplyingOwnFilters || state.isCalculating || Date.now() < state.ignoreEventsUntil) {
         return;
       }
 
       try {
-        const currentSpecHash = await computeStateHash(worksheet);
+        const currentSpecHash = await computeSpecHash(worksheet);
         if (currentSpecHash !== state.lastSpecHash) {
           state.lastSpecHash = currentSpecHash;
           state.lastStateHash = null; // Force refresh
@@ -325,9 +1170,65 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     };
 
-    // Check for spec changes every 2 seconds
-    const specCheckInterval = setInterval(checkSpecChanges, 2000);
-    state.specCheckInterval = specCheckInterval;
+    // Selection never changes our numbers (summary data ignores selection), but it
+    // means the author is working on the sheet - a cheap moment to look for edits
+    state.unregisterSelectionHandler = worksheet.addEventListener(
+      window.tableau.TableauEventType.MarkSelectionChanged,
+      checkSpecChanges
+    );
+    // So does the pointer coming back to the extension after editing the sheet
+    document.documentElement.addEventListener('pointerenter', checkSpecChanges);
+
+    // Workbook formatting drives the 'auto' theme (event exists in Extensions API 1.10+). It is
+    // raised by the dashboard when the extension sits on one, otherwise by the worksheet.
+    const formattingEvent = window.tableau.TableauEventType.WorkbookFormattingChanged;
+    if (formattingEvent) {
+      const formattingSource = window.tableau.extensions.dashboardContent?.dashboard || worksheet;
+      if (state.unregisterFormattingHandler) state.unregisterFormattingHandler();
+      state.unregisterFormattingHandler = formattingSource.addEventListener(formattingEvent, event => {
+        state.workbookFormatting = readWorkbookFormatting({ workbookFormatting: event.formatting });
+        applyDisplaySettings();
+        state.lastStateHash = null;
+        scheduleRefresh('formatting-change');
+      });
+    }
+
+    const startSpecPolling = () => {
+      if (isAuthoringMode() && !state.specCheckInterval) {
+        state.specCheckInterval = setInterval(checkSpecChanges, SPEC_CHECK_INTERVAL_MS);
+      }
+    };
+    const stopSpecPolling = () => {
+      clearInterval(state.specCheckInterval);
+      state.specCheckInterval = null;
+    };
+    startSpecPolling();
+
+    // Pause all background work while the dashboard is hidden (Page Visibility API)
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        stopSpecPolling();
+        if (resizeTimer) {
+          clearTimeout(resizeTimer);
+          resizeTimer = null;
+          state.pendingRefresh = true;
+        }
+        return;
+      }
+
+      startSpecPolling();
+      if (state.pendingRefresh) {
+        state.pendingRefresh = false;
+        scheduleRefresh('visible');
+      } else {
+        checkSpecChanges();
+      }
+    });
+
+    // Esc clears a selection/filter applied from a card or chart
+    document.addEventListener('keydown', e => {
+      if (e.key === 'Escape' && state.interaction) clearInteraction(worksheet);
+    });
 
     // Initial load
     await refreshKPIs(worksheet, 'init');
@@ -336,13 +1237,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.addEventListener('contextmenu', (e) => {
       e.preventDefault();
       const menu = document.createElement('div');
-      menu.style = `position:fixed; left:${e.pageX}px; top:${e.pageY}px; background:white; border:1px solid #ddd; padding:10px 14px; border-radius:6px; box-shadow:0 2px 8px rgba(0,0,0,0.15); z-index:10001; cursor:pointer; font:13px Inter,sans-serif; color:#333`;
-      menu.textContent = '🔄 Reload Extension';
-      menu.onclick = async () => {
-        menu.remove();
+      menu.className = 'context-menu';
+      menu.style.left = `${e.pageX}px`;
+      menu.style.top = `${e.pageY}px`;
+
+      const addMenuItem = (text, onClick) => {
+        const menuItem = document.createElement('div');
+        menuItem.className = 'context-menu-item';
+        menuItem.textContent = text;
+        menuItem.onclick = async () => {
+          menu.remove();
+          await onClick();
+        };
+        menu.appendChild(menuItem);
+      };
+
+      addMenuItem(t('menu.reload'), async () => {
         const worksheet = window.tableau.extensions.worksheetContent.worksheet;
         await refreshKPIs(worksheet, 'manual-reload');
-      };
+      });
+      if (state.interaction) {
+        addMenuItem(t('menu.clearInteraction'), () => clearInteraction(window.tableau.extensions.worksheetContent.worksheet));
+      }
+      if (isAuthoringMode()) {
+        addMenuItem(t('menu.configure'), openConfigureDialog);
+      }
       document.body.appendChild(menu);
       setTimeout(() => document.addEventListener('click', () => menu.remove(), { once: true }), 10);
     });
@@ -351,8 +1270,462 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 })
 
+// -------------------- Data Retrieval --------------------
+// refreshKPIs applies ONE date filter spanning every range it needs (current, comparisons,
+// target period), reads the summary data once and buckets the rows locally into period
+// totals and chart series. This keeps filter round trips constant regardless of the
+// number of cards and comparisons.
+
+function isInRange(time, range) {
+  return time !== null && time >= range.start.getTime() && time <= range.end.getTime();
+}
+
+// Smallest range covering all given ranges
+function getUnionRange(ranges) {
+  return {
+    start: new Date(Math.min(...ranges.map(r => r.start.getTime()))),
+    end: new Date(Math.max(...ranges.map(r => r.end.getTime())))
+  };
+}
+
+// Parse summary data into rows of { time, detailKey, values, formatted } for the given fields.
+// columnName maps a sheet field to its column (underlying data uses the unaggregated names).
+function buildDataIndex(summary, dateFieldName, fields, columnName = name => name) {
+  const columns = summary.columns;
+  const dateIndex = columns.findIndex(c => c.fieldName === columnName(dateFieldName));
+
+  const fieldIndices = fields
+    .map(name => ({ name, index: columns.findIndex(c => c.fieldName === columnName(name)) }))
+    .filter(f => f.index !== -1);
+
+  const detailFields = state.encodings?.detailFields || [];
+  const detailIndices = detailFields
+    .map(dName => columns.findIndex(c => c.fieldName === columnName(dName)))
+    .filter(idx => idx !== -1);
+  const detailMembers = new Map();
+  let minTime = null;
+  let maxTime = null;
+
+  const rows = summary.data.map(row => {
+    let time = null;
+    if (dateIndex !== -1) {
+      const rawDate = row[dateIndex].nativeValue;
+      const parsed = rawDate ? new Date(rawDate).getTime() : NaN;
+      if (!isNaN(parsed)) time = parsed;
+      if (time !== null && (minTime === null || time < minTime)) minTime = time;
+      if (time !== null && (maxTime === null || time > maxTime)) maxTime = time;
+    }
+
+    const values = {};
+    const formatted = {};
+    fieldIndices.forEach(f => {
+      values[f.name] = row[f.index].nativeValue;
+      formatted[f.name] = row[f.index].formattedValue;
+    });
+
+    const detailKey = detailIndices
+      .map(idx => String(row[idx].formattedValue || row[idx].nativeValue || ''))
+      .join(' | ');
+
+    // Raw member values per detail field, for selecting/filtering a card's member
+    if (detailIndices.length > 0 && !detailMembers.has(detailKey)) {
+      detailMembers.set(detailKey, detailIndices.map(idx => ({
+        fieldName: columns[idx].fieldName,
+        value: row[idx].value
+      })));
+    }
+
+    return { time, detailKey, values, formatted };
+  });
+
+  return {
+    hasDate: dateIndex !== -1,
+    hasDetail: detailFields.length > 0,
+    fields,
+    foundFields: fieldIndices.map(f => f.name),
+    rows,
+    minTime, // Earliest and latest date on the rows (null without dates)
+    maxTime,
+    detailMembers
+  };
+}
+
+// Snapshot of the author's filter on a field (null when there is none)
+async function captureFilter(worksheet, fieldName) {
+  const filters = await worksheet.getFiltersAsync();
+  const filter = filters.find(f => f.fieldName === fieldName);
+  if (!filter) return null;
+
+  if (filter.filterType === 'range') {
+    return {
+      filterType: 'range',
+      min: filter.minValue?.nativeValue,
+      max: filter.maxValue?.nativeValue,
+      includeNullValues: filter.includeNullValues
+    };
+  }
+  if (filter.filterType === 'relative-date') {
+    return {
+      filterType: 'relative-date',
+      anchorDate: filter.anchorDate?.nativeValue,
+      periodType: filter.periodType,
+      rangeType: filter.rangeType,
+      rangeN: filter.rangeN
+    };
+  }
+  if (filter.filterType === 'categorical') {
+    return {
+      filterType: 'categorical',
+      isAllSelected: filter.isAllSelected,
+      isExcludeMode: filter.isExcludeMode,
+      values: filter.appliedValues.map(v => v.value)
+    };
+  }
+  return null;
+}
+
+// Apply a temporary range filter on the date field. The author's filter is captured
+// before the first temporary filter so restoreDateFilter can put it back.
+async function applyTemporaryDateFilter(worksheet, dateFieldName, range) {
+  if (!state.ownFilterActive) {
+    state.originalDateFilter = await captureFilter(worksheet, dateFieldName);
+  }
+
+  state.isApplyingOwnFilters = true;
+  state.ownFilterActive = true;
+  await worksheet.applyRangeFilterAsync(dateFieldName, {
+    min: range.start,
+    max: range.end
+  });
+}
+
+// Put a filter snapshot from captureFilter back exactly (or clear the field if there was none)
+async function restoreCapturedFilter(worksheet, fieldName, original) {
+  if (!original || (original.filterType === 'categorical' && original.isAllSelected)) {
+    await worksheet.clearFilterAsync(fieldName);
+  } else if (original.filterType === 'range') {
+    await worksheet.applyRangeFilterAsync(fieldName, {
+      min: original.min,
+      max: original.max,
+      nullOption: original.includeNullValues ? 'all-values' : 'non-null-values'
+    });
+  } else if (original.filterType === 'relative-date') {
+    await worksheet.applyRelativeDateFilterAsync(fieldName, {
+      anchorDate: original.anchorDate,
+      periodType: original.periodType,
+      rangeType: original.rangeType,
+      rangeN: original.rangeN
+    });
+  } else if (original.filterType === 'categorical') {
+    await worksheet.applyFilterAsync(fieldName, original.values, 'replace', {
+      isExcludeMode: original.isExcludeMode
+    });
+  }
+}
+
+// Put the author's date filter back exactly as captured (or clear ours if there was none)
+async function restoreDateFilter(worksheet, dateFieldName) {
+  if (!state.ownFilterActive) return; // Nothing of ours to undo
+
+  const original = state.originalDateFilter;
+  state.originalDateFilter = null;
+  state.ownFilterActive = false;
+
+  try {
+    await restoreCapturedFilter(worksheet, dateFieldName, original);
+  } finally {
+    // Our own filter changes fire FilterChanged/SummaryDataChanged; ignore the trailing events
+    state.isApplyingOwnFilters = state.isCalculating && state.dataAccessMode === 'filter';
+    state.ignoreEventsUntil = Date.now() + 3000;
+  }
+}
+
+// True when the date filter currently on the sheet must be lifted while reading:
+// always in 'filter' mode, and while a date filter from a chart brush is applied
+function usesTemporaryDateFilter() {
+  return state.dataAccessMode === 'filter' || Boolean(state.interaction?.action === 'filter' && state.interaction.range);
+}
+
+// True when reading lifts the sheet's date filter: usesTemporaryDateFilter, or an author's
+// filter in 'summary' mode that would hide some of the ranges
+function readsWithTemporaryDateFilter() {
+  return usesTemporaryDateFilter() || state.liftDateFilter;
+}
+
+// Whether a Tableau filter on the date field keeps every date of the range. Only range
+// filters can be checked; relative-date and picked-value filters count as not covering.
+function filterCoversRange(filter, range) {
+  if (filter.filterType === 'categorical') return filter.isAllSelected;
+  if (filter.filterType !== 'range') return false;
+
+  const min = filter.minValue?.nativeValue;
+  const max = filter.maxValue?.nativeValue;
+  // Day-level bounds: the range ends at the last millisecond of its last day
+  return (!min || new Date(min).getTime() <= range.start.getTime()) &&
+    (!max || new Date(max).getTime() >= parseAnchorValue(range.end).getTime());
+}
+
+// How the author's filters on the date meet the ranges read in 'summary' mode: 'covered',
+// 'lift' when a filter on the date field itself hides some dates (lifted while reading and
+// restored exactly, see captureFilter), or 'datePart' when a filter on a part of the date
+// such as YEAR(Order Date) might (a range filter cannot lift it; see refreshKPIs)
+async function getDateFilterCoverage(worksheet, dateFieldName, range) {
+  const filters = await worksheet.getFiltersAsync();
+  const dateFilter = filters.find(f => f.fieldName === dateFieldName);
+  if (dateFilter && !filterCoversRange(dateFilter, range)) return 'lift';
+
+  const sourceName = getSourceFieldName(dateFieldName);
+  const hasDatePartFilter = filters.some(f => f.fieldName !== dateFieldName &&
+    getSourceFieldName(f.fieldName) === sourceName && !(f.filterType === 'categorical' && f.isAllSelected));
+  return hasDatePartFilter ? 'datePart' : 'covered';
+}
+
+// Index the sheet's summary data as-is: the author's filters apply, ours never do
+async function readSheetIndex(worksheet, dateFieldName, fields) {
+  const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
+  return buildDataIndex(summary, dateFieldName, fields);
+}
+
+// Index the summary data for all ranges. In 'summary' mode the sheet is read as-is (reusing
+// sheetIndex when it was already read); in 'filter' mode, or when the author's date filter
+// hides some ranges, one temporary filter covers the union of all ranges.
+async function fetchDataIndex(worksheet, dateFieldName, fields, ranges, sheetIndex = null) {
+  if (!readsWithTemporaryDateFilter()) {
+    return sheetIndex || readSheetIndex(worksheet, dateFieldName, fields);
+  }
+
+  await applyTemporaryDateFilter(worksheet, dateFieldName, getUnionRange(ranges));
+
+  try {
+    const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
+    return buildDataIndex(summary, dateFieldName, fields);
+  } finally {
+    await restoreDateFilter(worksheet, dateFieldName);
+  }
+}
+
+// Aggregate every field per detail group for rows inside the range (all rows when range is
+// null), by the field's aggregation (SUM unless MIN/MAX). Non-additive fields (AVG, COUNTD,
+// ...) are approximate here; applyExactTotals replaces them when row-level data is available.
+// Group order follows the row order, which respects Tableau sorting.
+function aggregateTotals(dataIndex, range) {
+  const groups = new Map();
+  const createGroup = () => {
+    const metrics = {};
+    dataIndex.fields.forEach(name => { metrics[name] = { val: 0, fmt: '', values: [] }; });
+    return metrics;
+  };
+
+  // Without detail fields there is always exactly one (possibly empty) group
+  if (!dataIndex.hasDetail) groups.set('', createGroup());
+
+  dataIndex.rows.forEach(row => {
+    if (range && !isInRange(row.time, range)) return;
+
+    if (!groups.has(row.detailKey)) groups.set(row.detailKey, createGroup());
+    const groupMetrics = groups.get(row.detailKey);
+
+    for (const name of dataIndex.fields) {
+      const val = row.values[name];
+      if (typeof val === 'number') {
+        groupMetrics[name].values.push(val);
+      }
+      if (!groupMetrics[name].fmt && row.formatted[name]) {
+        groupMetrics[name].fmt = row.formatted[name];
+      }
+    }
+  });
+
+  const result = {};
+  groups.forEach((metrics, key) => {
+    Object.entries(metrics).forEach(([name, metric]) => {
+      metric.val = aggregateValues(metric.values, getAggregationType(name));
+      delete metric.values;
+    });
+    result[key] = metrics;
+  });
+  return { groups: result, orderedKeys: Array.from(groups.keys()) };
+}
+
+// Slow path: filter to one range and sum its summary data
+async function fetchTotalsByFilter(worksheet, dateFieldName, fields, range) {
+  await applyTemporaryDateFilter(worksheet, dateFieldName, range);
+
+  try {
+    const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
+    return aggregateTotals(buildDataIndex(summary, dateFieldName, fields), null);
+  } finally {
+    await restoreDateFilter(worksheet, dateFieldName);
+  }
+}
+
+// Row-level data for fields whose totals cannot be rebuilt from the sheet's rows (AVG, COUNTD,
+// MEDIAN summed per day are wrong). Read like fetchDataIndex; null when the underlying data is
+// unavailable or spread over several logical tables.
+async function fetchUnderlyingIndex(worksheet, dateFieldName, fields, ranges) {
+  if (typeof worksheet.getUnderlyingTablesAsync !== 'function') return null;
+
+  const read = async () => {
+    const tables = await worksheet.getUnderlyingTablesAsync();
+    if (tables.length !== 1) return null;
+    const data = await worksheet.getUnderlyingTableDataAsync(tables[0].id, {
+      ignoreSelection: true,
+      includeAllColumns: true,
+      maxRows: UNDERLYING_MAX_ROWS
+    });
+    const index = buildDataIndex(data, dateFieldName, fields, getSourceFieldName);
+    if (!index.hasDate) return null;
+    return { ...index, complete: !data.isTotalRowCountLimited };
+  };
+
+  try {
+    if (!readsWithTemporaryDateFilter()) return await read();
+    await applyTemporaryDateFilter(worksheet, dateFieldName, getUnionRange(ranges));
+    try {
+      return await read();
+    } finally {
+      await restoreDateFilter(worksheet, dateFieldName);
+    }
+  } catch (e) {
+    return null;
+  }
+}
+
+// Replace the approximate totals of non-additive fields with values aggregated from
+// row-level data, the way Tableau computes them at period grain. The "Others" group
+// aggregates the rows of all its members.
+function applyExactTotals(results, periods, underlying, othersKey = null, otherKeys = []) {
+  Object.entries(results).forEach(([rangeLabel, groups]) => {
+    const range = periods[rangeLabel];
+    if (!groups || !range) return;
+
+    const rows = underlying.rows.filter(row => isInRange(row.time, range));
+    Object.entries(groups).forEach(([detailKey, metrics]) => {
+      const groupRows = rows.filter(row =>
+        matchesDetailKey(row.detailKey, detailKey === othersKey ? otherKeys : detailKey));
+      underlying.foundFields.forEach(name => {
+        if (!metrics[name]) return;
+        metrics[name].val = aggregateRawValues(groupRows.map(row => row.values[name]), getAggregationType(name));
+      });
+    });
+  });
+}
+
+// Aggregate row-level values by Tableau aggregation type; COUNT/COUNTD also count text values
+function aggregateRawValues(values, aggType) {
+  const present = values.filter(v => v !== null && v !== undefined && v !== '');
+  if (aggType === 'COUNT' || aggType === 'CNT') return present.length;
+  if (aggType === 'COUNTD' || aggType === 'CNTD') return new Set(present.map(String)).size;
+
+  const numbers = present.filter(v => typeof v === 'number');
+  if (aggType === 'MEDIAN' && numbers.length > 0) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+  return aggregateValues(numbers, aggType);
+}
+
+// Aggregate numeric values by Tableau aggregation type (SUM when unknown)
+function aggregateValues(values, aggType) {
+  const numbers = values.filter(v => typeof v === 'number');
+  if (numbers.length === 0) return 0;
+
+  if (aggType === 'MIN') return Math.min(...numbers);
+  if (aggType === 'MAX') return Math.max(...numbers);
+  if (aggType === 'AVG') return numbers.reduce((sum, v) => sum + v, 0) / numbers.length; // Approximation
+  return numbers.reduce((sum, v) => sum + v, 0);
+}
+
+// Aggregate tooltip fields for a bucket. Non-numeric fields keep the last value seen.
+function aggregateTooltipValues(rows, tooltipFields) {
+  const tooltipValues = {};
+  tooltipFields.forEach(tf => {
+    const values = rows.map(row => row.values[tf]).filter(v => v !== undefined && v !== null);
+    const numeric = values.filter(v => typeof v === 'number');
+    const fmtRow = rows.find(row => row.formatted[tf]);
+
+    let val = null;
+    if (numeric.length > 0) {
+      val = aggregateValues(numeric, getAggregationType(tf));
+    } else if (values.length > 0) {
+      val = values[values.length - 1];
+    }
+    tooltipValues[tf] = { val, fmt: fmtRow ? fmtRow.formatted[tf] : '' };
+  });
+  return tooltipValues;
+}
+
+// True when a row's detail key belongs to the requested detail: '' (all rows), one key,
+// or an array of keys (the members rolled up into an "Others" card)
+function matchesDetailKey(rowDetailKey, detailKey) {
+  if (!detailKey) return true;
+  return Array.isArray(detailKey) ? detailKey.includes(rowDetailKey) : rowDetailKey === detailKey;
+}
+
+// Build a chart series from indexed rows.
+// Days: one point per day that has data. Other granularities: one point per period bucket.
+function buildChartSeries(dataIndex, metricField, range, tooltipFields = [], detailKey = '', granularity = 'days') {
+  const rows = dataIndex.rows.filter(row =>
+    isInRange(row.time, range) && matchesDetailKey(row.detailKey, detailKey));
+  const aggType = getAggregationType(metricField);
+
+  if (granularity === 'days') {
+    // Group by date (key YYYY-MM-DD)
+    const grouped = new Map();
+    rows.forEach(row => {
+      const d = new Date(row.time);
+      d.setUTCHours(0, 0, 0, 0);
+      const key = d.toISOString().slice(0, 10);
+      if (!grouped.has(key)) grouped.set(key, { date: d, rows: [] });
+      grouped.get(key).rows.push(row);
+    });
+
+    return Array.from(grouped.values())
+      .sort((a, b) => a.date - b.date)
+      .map(group => ({
+        date: group.date,
+        value: aggregateValues(group.rows.map(row => row.values[metricField]), aggType),
+        tooltipValues: aggregateTooltipValues(group.rows, tooltipFields)
+      }));
+  }
+
+  // Non-additive functions (AVG, COUNTD, MEDIAN) cannot be rebuilt from daily rows; their
+  // buckets aggregate the row-level data when refreshKPIs read it (see fetchUnderlyingIndex)
+  const underlyingRows = !canPreaggregate(metricField) && dataIndex.underlying?.foundFields.includes(metricField)
+    ? dataIndex.underlying.rows.filter(row => isInRange(row.time, range) && matchesDetailKey(row.detailKey, detailKey))
+    : null;
+
+  return generatePeriods(range.start, range.end, granularity).map(period => {
+    const bucketRows = rows.filter(row => isInRange(row.time, period));
+    const value = underlyingRows
+      ? aggregateRawValues(underlyingRows.filter(row => isInRange(row.time, period)).map(row => row.values[metricField]), aggType)
+      : aggregateValues(bucketRows.map(row => row.values[metricField]), aggType);
+    return {
+      date: new Date(period.start),
+      value,
+      tooltipValues: aggregateTooltipValues(bucketRows, tooltipFields)
+    };
+  });
+}
+
 // -------------------- Core Logic --------------------
 
+// Encoding edits have no event; poll for them this often while authoring (a fallback: a
+// selection or the pointer entering the extension checks at once)
+const SPEC_CHECK_INTERVAL_MS = 60000;
+
+// Listen for ParameterChanged on every workbook parameter. Returns unregister functions.
+async function registerParameterHandlers(worksheet, handler) {
+  if (typeof worksheet.getParametersAsync !== 'function') return [];
+  try {
+    const parameters = await worksheet.getParametersAsync();
+    return parameters.map(p => p.addEventListener(window.tableau.TableauEventType.ParameterChanged, handler));
+  } catch (e) {
+    return [];
+  }
+}
+
 // Check if there are real changes in the data that require a refresh
 async function checkForChanges(worksheet) {
   try {
@@ -381,6 +1754,62 @@ async function checkForChanges(worksheet) {
 
 
 // Compute a hash of the current state (metrics, encodings, filters)
+// Hash of the encodings our numbers depend on (metrics, targets, tooltips, details, dates)
+function hashEncodings(encodings) {
+  const parts = [];
+  // Extract fields from new encodings (ratio sides pair by position, so keep their order)
+  const orderedEncodings = encodings
+    .filter(e => ['bars', 'lines', 'numerator', 'denominator'].includes(e.id))
+    .map(e => `${e.field?.name || e.field || e.fieldName}(${e.id})`)
+    .join(',');
+
+  const unfavorableFields = encodings
+    .filter(e => e.id === 'unfavorable')
+    .map(e => e.field?.name || e.field || e.fieldName)
+    .filter(Boolean)
+    .sort();
+
+  const tooltipFields = encodings
+    .filter(e => e.id === 'tooltip')
+    .map(e => e.field?.name || e.field || e.fieldName)
+    .filter(Boolean)
+    .sort();
+
+  // Target order matters: targets pair with metrics by position
+  const targetFields = encodings
+    .filter(e => e.id === 'target')
+    .map(e => e.field?.name || e.field || e.fieldName)
+    .filter(Boolean);
+
+  // Get detail fields (standard Tableau Detail shelf)
+  const detailFields = encodings
+    .filter(e => e.id === 'detail')
+    .map(e => e.field?.name || e.field || e.fieldName)
+    .filter(Boolean)
+    .sort();
+
+  const dateFields = encodings
+    .filter(e => e.id === 'date')
+    .map(e => e.field?.name || e.field || e.fieldName)
+    .filter(Boolean)
+    .sort();
+
+  parts.push(`metrics:${orderedEncodings}`);
+  parts.push(`unfavorable:${unfavorableFields.join(',')}`);
+  parts.push(`tooltip:${tooltipFields.join(',')}`);
+  parts.push(`target:${targetFields.join(',')}`);
+  parts.push(`detail:${detailFields.join(',')}`);
+  parts.push(`dates:${dateFields.join(',')}`);
+  return parts.join('::');
+}
+
+// Encoding edits have no event: the spec poll compares this hash only (filters have their own)
+async function computeSpecHash(worksheet) {
+  if (typeof worksheet.getVisualSpecificationAsync !== 'function') return '';
+  const spec = await worksheet.getVisualSpecificationAsync();
+  return hashEncodings((spec.marksSpecifications && spec.marksSpecifications[0]?.encodings) || []);
+}
+
 async function computeStateHash(worksheet, knownEncodings = null) {
   let hashParts = [];
 
@@ -394,45 +1823,7 @@ async function computeStateHash(worksheet, knownEncodings = null) {
       encodings = (spec.marksSpecifications && spec.marksSpecifications[0]?.encodings) || [];
     }
 
-    if (encodings.length > 0) {
-
-      // Extract fields from new encodings
-      const orderedEncodings = encodings
-        .filter(e => e.id === 'bars' || e.id === 'lines')
-        .map(e => `${e.field?.name || e.field || e.fieldName}(${e.id})`)
-        .join(',');
-
-      const unfavorableFields = encodings
-        .filter(e => e.id === 'unfavorable')
-        .map(e => e.field?.name || e.field || e.fieldName)
-        .filter(Boolean)
-        .sort();
-
-      const tooltipFields = encodings
-        .filter(e => e.id === 'tooltip')
-        .map(e => e.field?.name || e.field || e.fieldName)
-        .filter(Boolean)
-        .sort();
-
-      // Get detail fields (standard Tableau Detail shelf)
-      const detailFields = encodings
-        .filter(e => e.id === 'detail')
-        .map(e => e.field?.name || e.field || e.fieldName)
-        .filter(Boolean)
-        .sort();
-
-      const dateFields = encodings
-        .filter(e => e.id === 'date')
-        .map(e => e.field?.name || e.field || e.fieldName)
-        .filter(Boolean)
-        .sort();
-
-      hashParts.push(`metrics:${orderedEncodings}`);
-      hashParts.push(`unfavorable:${unfavorableFields.join(',')}`);
-      hashParts.push(`tooltip:${tooltipFields.join(',')}`);
-      hashParts.push(`detail:${detailFields.join(',')}`);
-      hashParts.push(`dates:${dateFields.join(',')}`);
-    }
+    if (encodings.length > 0) hashParts.push(hashEncodings(encodings));
 
     // 2. Get active filters (exclude date filters that we apply temporarily)
     const filters = await worksheet.getFiltersAsync();
@@ -466,8 +1857,9 @@ async function computeStateHash(worksheet, knownEncodings = null) {
 
     const filterHash = filters
       .filter(f => {
-        // Exclude date filters that we apply temporarily in refreshKPIs
-        if (dateFieldToExclude && f.fieldName === dateFieldToExclude) {
+        // Exclude date filters that we apply temporarily in refreshKPIs ('filter' mode only;
+        // otherwise the author's date filter is a real change)
+        if (usesTemporaryDateFilter() && dateFieldToExclude && f.fieldName === dateFieldToExclude) {
           return false;
         }
         return true;
@@ -505,7 +1897,7 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
 
   // If already calculating, we still continue - we've invalidated the old session
   state.isCalculating = true;
-  state.isApplyingOwnFilters = true;
+  state.isApplyingOwnFilters = state.dataAccessMode === 'filter';
   state.orderedDetailKeys = []; // Clear ordered keys to prevent stale cards
 
   // Unregister listener temporarily
@@ -537,7 +1929,17 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
       const linesFields = getFieldNames('lines');
       const unfavorableFields = getFieldNames('unfavorable');
       const tooltipFields = getFieldNames('tooltip');
+      const targetFields = getFieldNames('target');
       const detailFields = getFieldNames('detail'); // Standard Tableau Detail shelf
+      const numeratorFields = getFieldNames('numerator');
+      const denominatorFields = getFieldNames('denominator');
+
+      // Ratio metrics pair numerators with denominators by position: "SUM(Profit) / SUM(Sales)"
+      const ratios = {};
+      numeratorFields.forEach((numerator, i) => {
+        const denominator = denominatorFields[i];
+        if (denominator) ratios[`${numerator} / ${denominator}`] = { numerator, denominator };
+      });
 
       // DEBUG OVERLAY
       let debugEl = document.getElementById('debug-overlay');
@@ -566,6 +1968,7 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
           orderedMetrics.push({ name: fieldName, type: 'line' });
         }
       });
+      Object.keys(ratios).forEach(name => orderedMetrics.push({ name, type: 'line' }));
 
       // Combine bars and lines as metricFields for data fetching
       metricFields = [...new Set(orderedMetrics.map(m => m.name))];
@@ -573,13 +1976,23 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
       const dateFields = getFieldNames('date');
       dateFieldName = dateFields[0] || null;
 
-      // Add tooltip fields to metricFields so they are fetched
-      if (tooltipFields.length > 0) {
-        metricFields = [...new Set([...metricFields, ...tooltipFields])];
+      // Pair targets with metrics by position: 1st target -> 1st metric, and so on
+      const targetByMetric = {};
+      metricFields.forEach((mName, i) => {
+        if (targetFields[i]) targetByMetric[mName] = targetFields[i];
+      });
+
+      // Ratios are not sheet columns: fetch their numerator and denominator instead
+      metricFields = [...new Set(metricFields.flatMap(name =>
+        ratios[name] ? [ratios[name].numerator, ratios[name].denominator] : [name]))];
+
+      // Add tooltip and target fields to metricFields so they are fetched
+      if (tooltipFields.length > 0 || targetFields.length > 0) {
+        metricFields = [...new Set([...metricFields, ...tooltipFields, ...targetFields])];
       }
 
       // Store encoding info in state for later use
-      state.encodings = { barsFields, linesFields, unfavorableFields, tooltipFields, detailFields, orderedMetrics };
+      state.encodings = { barsFields, linesFields, unfavorableFields, tooltipFields, targetFields, targetByMetric, detailFields, orderedMetrics, ratios };
     }
     if (!dateFieldName) {
       const filters = await worksheet.getFiltersAsync();
@@ -589,6 +2002,7 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
       }
     }
 
+    state.dateFieldName = dateFieldName;
     if (!dateFieldName) {
       const emptyState = document.getElementById('empty-state');
       emptyState.style.display = 'flex';
@@ -596,8 +2010,9 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
 
       // Update empty state message if we have metrics but no date
       if (metricFields.length > 0) {
-        emptyState.querySelector('div[style="font-weight: 500;"]').textContent = 'Missing Date Field';
-        emptyState.querySelector('div[style="font-size: 12px; margin-top: 4px;"]').textContent = 'Please drag a Date field to the "Dates" box in the Marks card.';
+        document.getElementById('empty-state-title').dataset.i18n = 'app.missingDateTitle';
+        document.getElementById('empty-state-hint').dataset.i18n = 'app.missingDateHint';
+        applyTranslations(emptyState);
       }
       return;
     }
@@ -624,152 +2039,161 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
     document.getElementById('empty-state').style.display = 'none';
     document.getElementById('main-content').style.display = 'flex';
 
-    const anchorDate = new Date();
+    // The sheet as-is, read once: the data index in 'summary' mode and the latest date for
+    // the 'max' anchor ('filter' mode reads the ranges again once the anchor is known)
+    const sheetIndex = !usesTemporaryDateFilter() || state.anchorMode === 'max'
+      ? await readSheetIndex(worksheet, dateFieldName, metricFields)
+      : null;
+    const anchorDate = await resolveAnchorDate(worksheet, sheetIndex);
+    state.anchorDate = anchorDate;
+    if (state.anchorMode === 'parameter') {
+      syncControlsToState(); // Show the parameter's date in the anchor input
+    }
+    const currentRange = getCurrentRange(anchorDate);
     const periods = {
-      current: getRange(state.selectedPeriod, anchorDate),
-      prevMonth: getPrevMonthRange(getRange(state.selectedPeriod, anchorDate)),
-      prevYear: getPrevYearRange(getRange(state.selectedPeriod, anchorDate))
+      current: currentRange,
+      prevMonth: getPrevMonthRange(currentRange) // Always needed: card.reference checks the chart cache
     };
+    state.comparisons.forEach(id => {
+      periods[id] = COMPARISONS[id].getRange(currentRange);
+    });
 
-    // 3. Fetch Data (Sequential due to Tableau Filter API)
-    const results = {};
-
-    const fetchDataForRange = async (rangeLabel, range) => {
-      try {
-        await worksheet.applyRangeFilterAsync(dateFieldName, {
-          min: range.start,
-          max: range.end
-        });
-
-        const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
-
-        const data = summary.data;
-        const columns = summary.columns;
-
-        // Get detail field indices
-        const detailFields = state.encodings.detailFields || [];
-        const detailColIndices = {};
-        detailFields.forEach(dName => {
-          const col = columns.find(c => c.fieldName === dName);
-          if (col) detailColIndices[dName] = col.index;
-        });
-
-        // Optimize loop: Pre-calculate column indices for metrics
-        const colIndices = {};
-        metricFields.forEach(mName => {
-          const col = columns.find(c => c.fieldName === mName);
-          if (col) colIndices[mName] = col.index;
-        });
-
-        // If we have detail fields, group by their values
-        if (detailFields.length > 0) {
-          // Use Map to preserve insertion order (respects Tableau sorting)
-          const groupedValues = new Map();
-
-          for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-
-            // Build detail key from row values
-            const detailParts = [];
-            for (const dName of detailFields) {
-              const idx = detailColIndices[dName];
-              if (idx !== undefined) {
-                const val = row[idx].formattedValue || row[idx].nativeValue || '';
-                detailParts.push(String(val));
-              }
-            }
-            const detailKey = detailParts.join(' | ');
-
-            // Initialize group if needed (Map preserves insertion order)
-            if (!groupedValues.has(detailKey)) {
-              const metrics = {};
-              metricFields.forEach(mName => {
-                metrics[mName] = { val: 0, fmt: '' };
-              });
-              groupedValues.set(detailKey, metrics);
-            }
-
-            // Accumulate metric values for this group
-            const groupMetrics = groupedValues.get(detailKey);
-            for (const mName of metricFields) {
-              const idx = colIndices[mName];
-              if (idx !== undefined) {
-                const val = row[idx].nativeValue;
-                if (typeof val === 'number') {
-                  groupMetrics[mName].val += val;
-                }
-                if (!groupMetrics[mName].fmt && row[idx].formattedValue) {
-                  groupMetrics[mName].fmt = row[idx].formattedValue;
-                }
-              }
-            }
-          }
-
-          // Convert Map to object but preserve order in a separate array
-          const resultObj = {};
-          groupedValues.forEach((value, key) => {
-            resultObj[key] = value;
-          });
-
-          // Store ordered keys for this range
-          if (rangeLabel === 'current') {
-            state.orderedDetailKeys = Array.from(groupedValues.keys());
-          }
-
-          results[rangeLabel] = resultObj;
-        } else {
-          // No detail fields - aggregate all values (original behavior)
-          const values = {};
-          metricFields.forEach(mName => { values[mName] = { val: 0, fmt: '' }; });
-
-          for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-            for (const mName of metricFields) {
-              const idx = colIndices[mName];
-              if (idx !== undefined) {
-                const val = row[idx].nativeValue;
-                if (typeof val === 'number') {
-                  values[mName].val += val;
-                }
-                if (!values[mName].fmt && row[idx].formattedValue) {
-                  values[mName].fmt = row[idx].formattedValue;
-                }
-              }
-            }
-          }
-
-          // Store as single empty-key group for consistency
-          results[rangeLabel] = { '': values };
-        }
-      } catch (e) {
-        throw e;
-      }
-    };
+    // Chart reference ranges (see fetchReferenceSeries), so the rows they bucket are read too
+    if (layoutShowsCharts()) {
+      [state.display.chartReference, state.display.chartReference2].forEach(id => {
+        if (id === 'prevPeriod') periods.chartPrevPeriod = getPreviousPeriodComparison()(currentRange);
+        if (id === 'prevYear') periods.chartPrevYear = getPrevYearRange(currentRange);
+      });
+    }
 
-    await fetchDataForRange('current', periods.current);
-    await fetchDataForRange('prevMonth', periods.prevMonth);
-    await fetchDataForRange('prevYear', periods.prevYear);
+    // Targets are totals for the whole period (e.g. full month for MTD)
+    const hasTargets = (state.encodings?.targetFields || []).length > 0;
+    if (hasTargets) {
+      periods.targetPeriod = getFullPeriodRange(state.selectedPeriod, anchorDate);
+    }
+
+    // History the forecast method reads (recent weeks or last year's period)
+    const fullRange = getFullPeriodRange(state.selectedPeriod, anchorDate);
+    Object.assign(periods, getForecastRanges(currentRange, fullRange));
 
-    // 4. Clear Filter
-    await worksheet.clearFilterAsync(dateFieldName);
+    // 3. Fetch Data - one date filter covering every range, bucketed locally.
+    // In 'summary' mode the author's date filter would turn ranges it hides into zeros
+    // (last year against a this-year filter): it is lifted while reading, or, for filters
+    // on a part of the date, comparisons starting before the data read are marked.
+    const coverage = usesTemporaryDateFilter()
+      ? 'covered'
+      : await getDateFilterCoverage(worksheet, dateFieldName, getUnionRange(Object.values(periods)));
+    state.liftDateFilter = coverage === 'lift';
+
+    const results = {};
+    const dataIndex = await fetchDataIndex(worksheet, dateFieldName, metricFields, Object.values(periods), sheetIndex);
+    state.detailMembers = dataIndex.detailMembers;
+    state.filteredOutComparisons = coverage === 'datePart' && dataIndex.minTime !== null
+      ? state.comparisons.filter(id => periods[id].start.getTime() < dataIndex.minTime)
+      : [];
+
+    // Non-additive measures (AVG, COUNTD, MEDIAN) summed over the sheet's rows would not match
+    // Tableau's total; recompute them from row-level data. The slow path below reads each range
+    // without the date on the rows, so its totals are already at period grain.
+    const nonAdditiveFields = metricFields.filter(name => getAggregationType(name) && !canPreaggregate(name));
+    const underlying = dataIndex.hasDate && nonAdditiveFields.some(name => ROW_LEVEL_FUNCTIONS.includes(getAggregationType(name)))
+      ? await fetchUnderlyingIndex(worksheet, dateFieldName, nonAdditiveFields, Object.values(periods))
+      : null;
+    const exactFields = underlying?.complete ? underlying.foundFields : [];
+    if (underlying?.complete) dataIndex.underlying = underlying; // Exact chart buckets, see buildChartSeries
+
+    if (dataIndex.hasDate) {
+      for (const [rangeLabel, range] of Object.entries(periods)) {
+        const totals = aggregateTotals(dataIndex, range);
+        results[rangeLabel] = totals.groups;
+        if (rangeLabel === 'current') state.orderedDetailKeys = totals.orderedKeys;
+      }
+    } else {
+      // Date column is not in the summary data (e.g. only used as a filter):
+      // fall back to one filtered query per range
+      for (const [rangeLabel, range] of Object.entries(periods)) {
+        const totals = await fetchTotalsByFilter(worksheet, dateFieldName, metricFields, range);
+        results[rangeLabel] = totals.groups;
+        if (rangeLabel === 'current') state.orderedDetailKeys = totals.orderedKeys;
+      }
+    }
 
     // 5. Prepare metrics data - create separate cards for bars and lines
-    const cards = [];
+    const metricList = state.encodings.orderedMetrics && state.encodings.orderedMetrics.length > 0
+      ? state.encodings.orderedMetrics
+      : [
+        ...state.encodings.barsFields.map(name => ({ name, type: 'bar' })),
+        ...state.encodings.linesFields.map(name => ({ name, type: 'line' }))
+      ];
 
     // Get all unique detail keys from the results
     // Use ordered keys if available (from current range fetching), otherwise fallback to keys from results
-    const detailKeys = state.orderedDetailKeys && state.orderedDetailKeys.length > 0
+    const allDetailKeys = state.orderedDetailKeys && state.orderedDetailKeys.length > 0
       ? state.orderedDetailKeys
       : Object.keys(results.current || {});
 
+    // Top-N detail members; the rest are summed into one "Others" group
+    applyRatioTotals(results);
+    const { detailKeys, othersKey, otherKeys } = limitDetailMembers(results, allDetailKeys, metricList[0]?.name);
+    if (exactFields.length > 0) {
+      applyExactTotals(results, periods, underlying, othersKey, otherKeys);
+      applyRatioTotals(results); // Again, from the exact numerators and denominators
+    }
+
+    // Aggregation of a total that may not match Tableau's (null when it does)
+    const getApproximateAggregation = name => {
+      const ratio = state.encodings.ratios?.[name];
+      if (ratio) return getApproximateAggregation(ratio.numerator) || getApproximateAggregation(ratio.denominator);
+
+      const aggType = getAggregationType(name);
+      if (!dataIndex.hasDate || !aggType || canPreaggregate(name) || exactFields.includes(name)) return null;
+      return aggType;
+    };
+
     function createCardData(mName, chartType, detailKey = '') {
       const curObj = results.current?.[detailKey]?.[mName];
       const prevMObj = results.prevMonth?.[detailKey]?.[mName];
       const prevYObj = results.prevYear?.[detailKey]?.[mName];
       const curVal = curObj?.val || 0;
       const refVal = prevMObj?.val || 0;
+      const isUnavailable = curObj?.val === null; // "Others" total that cannot be rolled up
       const isUnfavorable = state.encodings.unfavorableFields.includes(mName);
 
+      // Percentage metrics are detected from Tableau's formatted value (ratios are percentages
+      // by default); an explicit per-metric format can override that
+      const isRatio = Boolean(state.encodings.ratios?.[mName]);
+      const format = getFormatOptions(mName, isRatio || (curObj?.fmt?.includes('%') ?? false), curObj?.fmt);
+      const isPercentage = format.style === 'percent';
+      const neutralBand = getNeutralBand(mName, isPercentage);
+      const isAdditive = !isPercentage && !isRatio && (!getAggregationType(mName) || ['SUM', 'CNT', 'COUNT'].includes(getAggregationType(mName)));
+
+      // Additive comparison values are scaled to the current day count while the current
+      // period is still running (MTD on March 30 against all 28 days of February)
+      const comparisonValues = {};
+      const comparisonScales = {};
+      state.comparisons.forEach(id => {
+        const val = results[id]?.[detailKey]?.[mName]?.val || 0;
+        const scale = isAdditive ? getDayScale(periods[id], periods.current, fullRange) : null;
+        comparisonValues[id] = scale ? val * scale.to / scale.from : val;
+        if (scale) comparisonScales[id] = scale;
+      });
+
+      // Projected end-of-period value (additive metrics, MTD/QTD/YTD)
+      const groupRows = dataIndex.hasDate
+        ? dataIndex.rows.filter(row => matchesDetailKey(row.detailKey, detailKey === othersKey ? otherKeys : detailKey))
+        : null;
+      const forecast = isAdditive ? calculateForecast(curVal, groupRows, mName, periods.current, fullRange) : null;
+
+      const targetField = state.encodings.targetByMetric?.[mName] || null;
+      const target = targetField && !isUnavailable ? calculateTargetStatus(
+        curVal,
+        results.targetPeriod?.[detailKey]?.[targetField]?.val || 0,
+        periods.current,
+        periods.targetPeriod,
+        isPercentage,
+        forecast
+      ) : null;
+
       // Collect tooltip values for this detail group
       const tooltipValues = {};
       if (state.encodings.tooltipFields) {
@@ -794,56 +2218,53 @@ async function refreshKPIs(worksheet, trigger = 'unknown') {
         reference: refVal,
         prevMonth: prevMObj?.val || 0,
         prevYear: prevYObj?.val || 0,
-        isPercentage: curObj?.fmt?.includes('%') ?? false,
+        comparisonValues,
+        comparisonScales,
+        targetField,
+        target,
+        forecast,
+        isPercentage,
+        isAdditive,
+        format,
         formattedValue: curObj?.fmt,
         dateFieldName,
         chartType, // 'bar' or 'line'
         isUnfavorable,
+        neutralBand,
+        otherKeys: othersKey && detailKey === othersKey ? otherKeys : null, // Members of the "Others" card
+        isUnavailable,
+        approximateAggregation: isUnavailable ? null : getApproximateAggregation(mName),
         tooltipFields: state.encodings.tooltipFields,
         tooltipValues // Pass collected values
       };
     }
 
-    // Create cards preserving order - for each metric, create a card for each detail group
-    if (state.encodings.orderedMetrics && state.encodings.orderedMetrics.length > 0) {
-      state.encodings.orderedMetrics.forEach(metric => {
-        detailKeys.forEach(detailKey => {
-          cards.push(createCardData(metric.name, metric.type, detailKey));
-        });
-      });
-    } else {
-      // Fallback
-      state.encodings.barsFields.forEach(mName => {
-        detailKeys.forEach(detailKey => {
-          cards.push(createCardData(mName, 'bar', detailKey));
-        });
-      });
-      state.encodings.linesFields.forEach(mName => {
-        detailKeys.forEach(detailKey => {
-          cards.push(createCardData(mName, 'line', detailKey));
-        });
-      });
-    }
+    // One card per metric and detail group, then sorted and grouped as configured
+    const cards = arrangeCards(metricList.map(metric =>
+      detailKeys.map(detailKey => createCardData(metric.name, metric.type, detailKey))));
 
     // Render KPIs immediately without skeleton (user request)
     renderKPIs(cards, false);
 
     // Lazy load charts in background (pass sessionId for cancellation check)
-    await loadChartsAsync(worksheet, dateFieldName, cards, periods, sessionId);
+    if (layoutShowsCharts()) {
+      await loadChartsAsync(worksheet, dateFieldName, cards, periods, sessionId, dataIndex);
+    }
 
   } catch (e) {
     // showDebug('Refresh Error: ' + e.message);
   } finally {
     state.isCalculating = false;
     state.isApplyingOwnFilters = false;
-    state.ignoreEventsUntil = Date.now() + 3000; // Ignore events for 3s after refresh to catch trailing Tableau events
+    // restoreDateFilter sets the grace period (ignoreEventsUntil) after each temporary filter
 
     // Update state hash after flags are reset to prevent race condition with polling
     try {
       // Pass rawEncodings to ensure hash matches what we just rendered, avoiding flaky API calls
       const newHash = await computeStateHash(worksheet, rawEncodings);
       state.lastStateHash = newHash;
-      state.lastSpecHash = newHash; // Update polling hash to prevent infinite loop
+      // Update polling hash to prevent infinite loop
+      state.lastSpecHash = rawEncodings ? hashEncodings(rawEncodings) : await computeSpecHash(worksheet);
     } catch (e) {
       // Ignore hash computation errors
     }
@@ -862,91 +2283,119 @@ function renderKPIs(metrics, showSkeleton = false) {
   const container = document.getElementById('kpi-container');
   container.innerHTML = '';
 
-  // Calculate optimal columns
-  const count = metrics.length;
-  let cols = 1;
-  if (count <= 3) cols = count;
-  else if (count === 4) cols = 2;
-  else if (count <= 6) cols = 3;
-  else cols = 4; // Cap at 4 for readability on standard screens
+  applyDisplaySettings();
 
-  container.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
-  container.style.gridAutoRows = '1fr';
+  const layout = state.display.layout;
+  const showCharts = layoutShowsCharts();
+  container.className = `kpi-grid layout-${layout}`;
+  state.renderedCards = metrics;
+  applyGridLayout(metrics.length);
 
   metrics.forEach(metric => {
     const item = document.createElement('div');
     item.className = 'kpi-item';
 
-    // Calculate deltas
-    const momDiff = metric.current - metric.prevMonth;
-    const momPct = metric.prevMonth ? (momDiff / metric.prevMonth) * 100 : 0;
-
-    const yoyDiff = metric.current - metric.prevYear;
-    const yoyPct = metric.prevYear ? (yoyDiff / metric.prevYear) * 100 : 0;
-
     // Generate safe chartId - replace any non-alphanumeric chars with dashes
     const safeChartName = metric.name.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-');
     const chartId = `chart-${safeChartName}-${metric.chartType}`;
 
-    // Helper for trend class - INVERTED for unfavorable metrics
-    const getTrendClass = (val) => {
-      if (metric.isUnfavorable) {
-        // Inverted: negative is good (blue), positive is bad (orange)
-        return val >= 0 ? 'trend-down' : 'trend-up';
-      }
-      return val >= 0 ? 'trend-up' : 'trend-down';
-    };
+    // Trend class of a change against its reference (see getChangeTone)
+    const getTrendClass = (diff, reference) => TREND_CLASSES[getChangeTone(diff, reference, metric.isUnfavorable, metric.neutralBand)];
 
-    const formatDelta = (val, isPct) => {
-      const sign = val >= 0 ? '+' : '';
-      return isPct ? `${sign}${val.toFixed(1)}%` : `${sign}${formatNumber(Math.abs(val), false)}`;
-    };
+    const formatDelta = (val, isPct) => formatDeltaValue(val, isPct, metric.format);
 
     // Format subtitle: "Metric Name Rolling 30 Days: Detail Value"
-    const periodText = state.selectedPeriod === 'rolling'
-      ? `Rolling ${state.rollingCount} ${state.granularity.charAt(0).toUpperCase() + state.granularity.slice(1)}`
-      : `${state.selectedPeriod.toUpperCase()} - ${state.granularity.charAt(0).toUpperCase() + state.granularity.slice(1)}`;
+    const periodText = formatPeriodText();
 
     const subtitleText = metric.detailKey
       ? `${metric.baseName} ${periodText}: ${metric.detailKey}`
       : `${metric.baseName} ${periodText}`;
 
-    item.innerHTML = `
-      <div class="big-value">${formatNumber(metric.current, metric.isPercentage)}</div>
-      
-      <div class="comparison-line">
-        <div class="comp-item" title="Year over Year">
-          <span class="comp-label">YoY:</span>
-          <span class="comp-val ${getTrendClass(yoyDiff)}">
-            ${yoyDiff >= 0 ? '▲' : '▼'} ${Math.abs(yoyPct).toFixed(1)}%
-          </span>
-          <span class="comp-divider">|</span>
-          <span class="comp-val ${getTrendClass(yoyDiff)}">
-             ${formatDelta(yoyDiff, metric.isPercentage)}
-          </span>
-        </div>
-        
-        <div class="comp-item" title="Month over Month">
-          <span class="comp-label">MoM:</span>
-          <span class="comp-val ${getTrendClass(momDiff)}">
-            ${momDiff >= 0 ? '▲' : '▼'} ${Math.abs(momPct).toFixed(1)}%
+    // One comparison item per comparison (compact layouts show only the first)
+    const renderComparisonItem = id => {
+      const comp = COMPARISONS[id];
+      if (state.filteredOutComparisons.includes(id)) {
+        return `
+        <div class="comp-item filtered-out" title="${t('comparison.filteredOutTitle', { field: state.dateFieldName })}">
+          <span class="comp-label">${comp.label}:</span>
+          <span class="comp-val">${t('comparison.filteredOut')}</span>
+        </div>`;
+      }
+      const refVal = metric.comparisonValues?.[id] || 0;
+      const diff = metric.current - refVal;
+      const pct = refVal ? (diff / refVal) * 100 : 0;
+
+      return `
+        <div class="comp-item" title="${comp.title}">
+          <span class="comp-label">${comp.label}:</span>
+          <span class="comp-val ${getTrendClass(diff, refVal)}">
+            ${diff >= 0 ? '▲' : '▼'} ${formatPercentChange(Math.abs(pct), false)}
           </span>
           <span class="comp-divider">|</span>
-           <span class="comp-val ${getTrendClass(momDiff)}">
-             ${formatDelta(momDiff, metric.isPercentage)}
+          <span class="comp-val ${getTrendClass(diff, refVal)}">
+             ${formatDelta(diff, metric.isPercentage)}
           </span>
-        </div>
-      </div>
-
-      <div class="metric-subtitle">
-        ${subtitleText}
-      </div>
-      
-      <div id="${chartId}" class="bar-chart-container" style="width: 100%; flex: 1; min-height: 0; margin-top: 12px; display: flex; align-items: flex-end;"></div>
-    `;
+        </div>`;
+    };
+    const renderComparisons = ids => ids.length > 0 && !metric.isUnavailable
+      ? `<div class="comparison-line">${ids.map(renderComparisonItem).join('')}</div>`
+      : '';
+
+    const valueHtml = metric.isUnavailable
+      ? `<div class="big-value unavailable" title="${t('card.othersUnavailable')}">—</div>`
+      : `<div class="big-value">${formatNumber(metric.current, metric.isPercentage, metric.format)}</div>`;
+    const approximateHtml = metric.approximateAggregation
+      ? ` <span class="approximate-marker" title="${t('card.approximate', { aggregation: metric.approximateAggregation })}">≈</span>`
+      : '';
+    const subtitleHtml = `<div class="metric-subtitle">${subtitleText}${approximateHtml}</div>`;
+    // Coarser buckets of an approximate total are approximate too (see buildChartSeries)
+    const isApproximateChart = metric.approximateAggregation && (state.granularity || 'days') !== 'days';
+    const chartHtml = showCharts
+      ? `<div id="${chartId}" class="bar-chart-container"${isApproximateChart ? ` data-approximate="${t('chart.approximate', { aggregation: metric.approximateAggregation })}"` : ''}></div>`
+      : '';
+    const firstComparison = state.comparisons.slice(0, 1);
+
+    item.innerHTML = {
+      full: `
+        ${valueHtml}
+        ${renderComparisons(state.comparisons)}
+        ${renderTargetLine(metric, getTrendClass)}
+        ${renderForecastLine(metric)}
+        ${subtitleHtml}
+        <div class="anchor-label">${formatAnchorLabel(state.anchorDate)}</div>
+        ${chartHtml}`,
+      valueDelta: `
+        ${valueHtml}
+        ${renderComparisons(firstComparison)}
+        ${subtitleHtml}`,
+      value: `
+        ${valueHtml}
+        ${subtitleHtml}`,
+      sparkline: `
+        ${subtitleHtml}
+        <div class="card-headline">${valueHtml}${renderComparisons(firstComparison)}</div>
+        ${chartHtml}`,
+      row: `
+        ${subtitleHtml}
+        ${valueHtml}
+        ${renderComparisons(firstComparison)}
+        ${chartHtml}`
+    }[layout];
+
+    // Click selects/filters the card's detail member (chart clicks belong to the brush)
+    // ("Others" stands for many members and is not clickable)
+    item.dataset.detailKey = metric.otherKeys ? '' : metric.detailKey || '';
+    if (state.display.clickAction !== 'none' && metric.detailKey && !metric.otherKeys) {
+      item.classList.add('clickable');
+      item.classList.toggle('interaction-active', state.interaction?.detailKey === metric.detailKey);
+      item.addEventListener('click', e => {
+        if (e.target.closest('.bar-chart-container')) return;
+        handleCardClick(metric.detailKey);
+      });
+    }
 
     // Tooltip events - ONLY on the big value
-    const bigValueEl = item.querySelector('.big-value');
+    const bigValueEl = item.querySelector('.big-value:not(.unavailable)');
     if (bigValueEl) {
       bigValueEl.style.cursor = 'help'; // Indicate hoverable
       bigValueEl.addEventListener('mouseenter', (e) => showTooltipForMetric(e, metric, subtitleText));
@@ -960,6 +2409,7 @@ function renderKPIs(metrics, showSkeleton = false) {
     container.appendChild(item);
 
     // Show skeleton or real chart based on chartType
+    if (!showCharts) return; // Layout without a chart area
     if (showSkeleton) {
       if (metric.chartType === 'line') {
         renderSkeletonLineChart(chartId);
@@ -968,14 +2418,576 @@ function renderKPIs(metrics, showSkeleton = false) {
       }
     } else if (metric.chartDataCurrent && metric.chartDataCurrent.length > 0) {
       if (metric.chartType === 'line') {
-        renderLineChart(chartId, metric.chartDataCurrent, metric.chartDataReference, subtitleText, metric.dateFieldName, metric.isPercentage, metric.isUnfavorable);
+        renderLineChart(chartId, metric.chartDataCurrent, metric.chartDataReference, subtitleText, metric.dateFieldName, metric.isPercentage, metric.isUnfavorable, metric.tooltipFields, true, metric.format, metric.neutralBand);
       } else {
-        renderBarChart(chartId, metric.chartDataCurrent, metric.chartDataReference, subtitleText, metric.dateFieldName, metric.isPercentage, metric.isUnfavorable);
+        renderBarChart(chartId, metric.chartDataCurrent, metric.chartDataReference, subtitleText, metric.dateFieldName, metric.isPercentage, metric.isUnfavorable, metric.tooltipFields, true, metric.format, metric.neutralBand);
       }
     }
   });
 }
 
+// -------------------- Forecast --------------------
+// Projection of an additive metric to the end of a partial MTD/QTD/YTD period
+// (state.display.forecast, see FORECAST_METHODS in settings.js):
+//   'linear'   - the current daily run rate for every remaining day
+//   'weekday'  - each remaining day at the average of its weekday over recent weeks
+//   'lastYear' - last year's daily values for the remaining days, scaled by this year's
+//                progress against the same stretch last year
+// Without daily rows (or history) the weighted methods fall back to 'linear'.
+const FORECAST_PERIODS = ['mtd', 'qtd', 'ytd'];
+const FORECAST_WEEKDAY_WEEKS = 8; // Weeks of history for the day-of-week weights
+
+function isForecastActive() {
+  return state.display.forecast !== 'none' && FORECAST_PERIODS.includes(state.selectedPeriod);
+}
+
+// Whole weeks of history ending with the anchor day, so every weekday appears equally often
+function getWeekdayHistoryRange(currentRange) {
+  const start = shiftUTCDays(currentRange.end, -(FORECAST_WEEKDAY_WEEKS * 7 - 1));
+  start.setUTCHours(0, 0, 0, 0);
+  return { start, end: currentRange.end };
+}
+
+// Ranges the forecast method needs besides the current period (added to the refresh periods
+// so 'filter' mode reads them too)
+function getForecastRanges(currentRange, fullRange) {
+  if (!isForecastActive()) return {};
+  if (state.display.forecast === 'weekday') {
+    return { forecastHistory: getWeekdayHistoryRange(currentRange) };
+  }
+  if (state.display.forecast === 'lastYear') {
+    return { forecastHistory: getPrevYearRange(fullRange) };
+  }
+  return {};
+}
+
+// Sum a field per UTC day: Map of "YYYY-MM-DD" -> total
+function sumByDay(rows, field, range) {
+  const totals = new Map();
+  rows.forEach(row => {
+    const val = row.values[field];
+    if (typeof val !== 'number' || !isInRange(row.time, range)) return;
+    const key = new Date(row.time).toISOString().slice(0, 10);
+    totals.set(key, (totals.get(key) || 0) + val);
+  });
+  return totals;
+}
+
+// { method, projected, end, days: [{ date, value }] } for the remaining days, or null when
+// forecasting is off or the period is already complete. rows are the indexed rows of the
+// card's detail group (null when the sheet has no date column).
+function calculateForecast(current, rows, field, currentRange, fullRange) {
+  if (!isForecastActive() || fullRange.end <= currentRange.end) return null;
+
+  const remaining = [];
+  const firstDay = shiftUTCDays(currentRange.end, 1);
+  firstDay.setUTCHours(0, 0, 0, 0);
+  for (let d = firstDay; d <= fullRange.end; d = shiftUTCDays(d, 1)) remaining.push(d);
+
+  let method = 'linear';
+  const linearRate = current / countDays(currentRange);
+  let getDayValue = () => linearRate;
+
+  if (rows && state.display.forecast === 'weekday') {
+    const weekdayTotals = [0, 0, 0, 0, 0, 0, 0];
+    sumByDay(rows, field, getWeekdayHistoryRange(currentRange)).forEach((value, key) => {
+      weekdayTotals[new Date(key).getUTCDay()] += value;
+    });
+    if (weekdayTotals.some(Boolean)) {
+      method = 'weekday';
+      getDayValue = date => weekdayTotals[date.getUTCDay()] / FORECAST_WEEKDAY_WEEKS;
+    }
+  } else if (rows && state.display.forecast === 'lastYear') {
+    const lastYearDays = sumByDay(rows, field, getPrevYearRange(fullRange));
+    const elapsedLastYear = getPrevYearRange(currentRange);
+    let lastYearToDate = 0;
+    lastYearDays.forEach((value, key) => {
+      if (isInRange(new Date(key).getTime(), elapsedLastYear)) lastYearToDate += value;
+    });
+    if (lastYearToDate > 0) {
+      method = 'lastYear';
+      const scale = current / lastYearToDate;
+      getDayValue = date => {
+        const lastYearDay = getPrevYearRange({ start: date, end: date }).start;
+        return (lastYearDays.get(lastYearDay.toISOString().slice(0, 10)) || 0) * scale;
+      };
+    }
+  }
+
+  const days = remaining.map(date => ({ date, value: getDayValue(date) }));
+  return { method, projected: current + d3.sum(days, d => d.value), end: fullRange.end, days };
+}
+
+// Forecast per chart bucket: [{ date, value, partial }]. partial marks the bucket that also
+// holds actual data (the anchor's week/month/...), whose value is the rest of that bucket.
+function getForecastBuckets(forecast, currentRange) {
+  const granularity = state.granularity || 'days';
+  if (granularity === 'days') {
+    return forecast.days.map(d => ({ date: d.date, value: d.value, partial: false }));
+  }
+
+  return generatePeriods(currentRange.start, forecast.end, granularity)
+    .filter(period => period.end > currentRange.end)
+    .map(period => ({
+      date: new Date(period.start),
+      value: d3.sum(forecast.days.filter(d => isInRange(d.date.getTime(), period)), d => d.value),
+      partial: period.start <= currentRange.end
+    }));
+}
+
+// -------------------- Chart References --------------------
+// Series drawn behind the current one (state.display.chartReference / chartReference2, see
+// CHART_REFERENCES). The first is drawn as gray bars or a gray line and colors the current
+// bars; the second as dashed marks, with a legend naming both.
+
+// Comparison behind the 'prevPeriod' reference: the period before the selected one
+function getPreviousPeriodComparison() {
+  switch (state.selectedPeriod) {
+    case 'mtd':
+    case 'lastMonth':
+      return getPrevMonthRange;
+    case 'qtd':
+    case 'lastQuarter':
+      return getPrevQuarterRange;
+    case 'ytd':
+    case 'lastYear':
+      return getPrevYearRange;
+    case 'lastWeek':
+      return getPrevWeekRange;
+    default:
+      return getPrevPeriodRange; // Rolling and custom ranges: the window before
+  }
+}
+
+// Reference ids the card's chart draws, without repeats; 'target' needs a target field
+function getChartReferences(card) {
+  const ids = [state.display.chartReference, state.display.chartReference2]
+    .filter(id => id !== 'none' && (id !== 'target' || card.targetField));
+  return [...new Set(ids)];
+}
+
+// Fetch a reference series for the current range: { id, data, range, getReferenceRange }
+async function fetchReferenceSeries(id, worksheet, dateFieldName, metricName, card, currentRange, detailKey, sessionId, dataIndex) {
+  if (id === 'target') {
+    const data = await fetchChartDataByGranularity(worksheet, dateFieldName, card.targetField, currentRange, [], detailKey, sessionId, dataIndex);
+    return { id, data, range: currentRange, getReferenceRange: null };
+  }
+
+  const getReferenceRange = id === 'prevYear' ? getPrevYearRange : getPreviousPeriodComparison();
+  const range = getReferenceRange(currentRange);
+  const data = await fetchChartDataByGranularity(worksheet, dateFieldName, metricName, range, card.tooltipFields, detailKey, sessionId, dataIndex);
+  return { id, data, range, getReferenceRange };
+}
+
+// Label of a reference series (see CHART_REFERENCES), for legends and tooltips
+function getReferenceLabel(series) {
+  return t(`chartReference.${series.reference}`);
+}
+
+// Legend naming the reference series when the chart overlays two
+function renderChartLegend(container, referenceData) {
+  d3.select(container).selectAll('.chart-legend').remove();
+  if (!referenceData?.secondary) return;
+
+  d3.select(container)
+    .append('div')
+    .attr('class', 'chart-legend')
+    .html(`
+      <span class="chart-legend-item"><span class="chart-legend-swatch"></span>${getReferenceLabel(referenceData)}</span>
+      <span class="chart-legend-item"><span class="chart-legend-swatch secondary"></span>${getReferenceLabel(referenceData.secondary)}</span>
+    `);
+}
+
+// -------------------- Running Totals --------------------
+// With state.display.cumulativeCharts, charts of additive measures show running totals: the
+// current and reference series accumulate bucket by bucket, so the gap between them is the
+// running gap (how far ahead or behind the period is so far).
+
+function isCumulativeChart(card) {
+  return state.display.cumulativeCharts && card.isAdditive;
+}
+
+// Running totals of a chart series. Each point keeps its own value as bucketValue; targets
+// accumulate alongside. Forecast buckets continue from the last running total (a partial
+// bucket stays the part stacked on top of it, see getForecastBuckets).
+function accumulateSeries(series) {
+  if (!series) return series;
+  let running = 0;
+  let runningTarget = 0;
+  const result = series.map(d => {
+    running += d.value;
+    const point = { ...d, value: running, bucketValue: d.value };
+    if (typeof d.target === 'number') {
+      runningTarget += d.target;
+      point.target = runningTarget;
+    }
+    return point;
+  });
+
+  if (series.forecast) {
+    let projected = running;
+    result.forecast = series.forecast.map(d => {
+      projected += d.value;
+      return { ...d, value: d.partial ? d.value : projected };
+    });
+  }
+  result.cumulative = true;
+  return result;
+}
+
+// -------------------- Incomplete Periods --------------------
+// The first and last chart buckets of a range are often cut short (a 3-day week next to full
+// weeks) and today's data is still arriving. state.display.incompletePeriods (see
+// INCOMPLETE_POLICIES in settings.js) decides how such buckets are shown; every policy but
+// 'show' also compares card values of a running period over like-for-like day counts.
+
+// Range of the selected period. With 'exclude' it ends with yesterday while the range
+// reaches today (unless today is its only day).
+function getCurrentRange(anchorDate) {
+  const range = getRange(state.selectedPeriod, anchorDate);
+  const today = getTodayUTC();
+  if (state.display.incompletePeriods === 'exclude' && range.end >= today && range.start < today) {
+    return { start: range.start, end: new Date(today.getTime() - 1) };
+  }
+  return range;
+}
+
+// Day counts behind a comparison value: { from, to } when the comparison range has a
+// different number of days than the current one and values are compared like-for-like.
+// Only a period cut short by the anchor (or by 'exclude') is scaled: whole periods (a full
+// February against a full March, a 53-week retail year) compare as Tableau shows them.
+function getDayScale(referenceRange, currentRange, fullRange) {
+  if (state.display.incompletePeriods === 'show' || !referenceRange) return null;
+  if (currentRange.end >= fullRange.end) return null;
+  const from = countDays(referenceRange);
+  const to = countDays(currentRange);
+  return from !== to ? { from, to } : null;
+}
+
+// Add { days, fullDays, partial } to each point of a chart series of `range`: days inside the
+// range, days of the whole bucket, and whether the range start or end cuts it short (the
+// first week of MTD, a rolling range starting mid-week) or it holds today
+function describeBuckets(series, range) {
+  const granularity = state.granularity || 'days';
+  const today = getTodayUTC();
+  return series.map(d => {
+    const bucketEnd = getBucketEnd(d.date, granularity);
+    const start = d.date < range.start ? range.start : d.date;
+    const end = bucketEnd > range.end ? range.end : bucketEnd;
+    return {
+      ...d,
+      days: countDays({ start, end }),
+      fullDays: countDays({ start: d.date, end: bucketEnd }),
+      partial: d.date < range.start || bucketEnd > range.end || (d.date <= today && today <= bucketEnd)
+    };
+  });
+}
+
+// Apply the policy to a chart series. Reference series pair with the current buckets by
+// position, so with 'exclude' they drop the positions the current series drops
+// (pairedBuckets: the current series through describeBuckets) rather than their own.
+function applyIncompletePolicy(series, range, isAdditive, pairedBuckets = null) {
+  const policy = state.display.incompletePeriods;
+  if (policy === 'show' || !series || series.length === 0) return series;
+
+  const buckets = describeBuckets(series, range);
+  if (policy === 'exclude') {
+    return pairedBuckets
+      ? buckets.filter((d, i) => !pairedBuckets[i]?.partial)
+      : buckets.filter(d => !d.partial);
+  }
+  if (policy === 'perDay' && isAdditive) {
+    return buckets.map(d => ({
+      ...d,
+      value: d.value / d.days,
+      ...(typeof d.target === 'number' ? { target: d.target / d.days } : {}),
+      perDay: true
+    }));
+  }
+  return buckets;
+}
+
+// Forecast buckets on the chart's footing. 'exclude': a partial bucket becomes a whole
+// forecast bucket (its actual value plus the projected rest). 'perDay' (when the chart is
+// per day, see applyIncompletePolicy): values per day, the partial bucket's part being the
+// projected daily average above the actual one.
+function adjustForecastBuckets(buckets, rawCurrent, range, forecastEnd, isAdditive = true) {
+  const policy = state.display.incompletePeriods;
+  if (policy !== 'exclude' && (policy !== 'perDay' || !isAdditive)) return buckets;
+
+  const granularity = state.granularity || 'days';
+  const actualByTime = new Map(rawCurrent.map(d => [d.date.getTime(), d.value]));
+  return buckets.map(d => {
+    const actual = d.partial ? actualByTime.get(d.date.getTime()) || 0 : 0;
+    if (policy === 'exclude') return { ...d, value: actual + d.value, partial: false };
+
+    const start = d.date < range.start ? range.start : d.date;
+    const bucketEnd = getBucketEnd(d.date, granularity);
+    const fullDays = countDays({ start, end: bucketEnd < forecastEnd ? bucketEnd : forecastEnd });
+    if (!d.partial) return { ...d, value: d.value / fullDays };
+    const elapsedDays = countDays({ start, end: range.end });
+    return { ...d, value: (actual + d.value) / fullDays - actual / elapsedDays };
+  });
+}
+
+// -------------------- Ratio Metrics --------------------
+// A ratio (numerator / denominator encodings) is the sum of its numerator over the sum of
+// its denominator, per card total and per chart bucket - never an average of ratios.
+
+function divideOrZero(numerator, denominator) {
+  return denominator ? numerator / denominator : 0;
+}
+
+// Ratio values of one group's metrics ({ [field]: { val, fmt } })
+function setRatioValues(metrics) {
+  Object.entries(state.encodings?.ratios || {}).forEach(([name, ratio]) => {
+    const numerator = metrics[ratio.numerator]?.val;
+    const denominator = metrics[ratio.denominator]?.val;
+    metrics[name] = {
+      // No ratio of a missing total (see limitDetailMembers)
+      val: numerator === null || denominator === null ? null : divideOrZero(numerator || 0, denominator || 0),
+      fmt: ''
+    };
+  });
+}
+
+// Ratio values for every range and detail group of the refresh results
+function applyRatioTotals(results) {
+  Object.values(results).forEach(groups => Object.values(groups || {}).forEach(setRatioValues));
+}
+
+// Divide a numerator series by the denominator series bucket by bucket (matched by date)
+function divideSeries(numeratorSeries, denominatorSeries) {
+  const denominators = new Map(denominatorSeries.map(point => [point.date.getTime(), point.value]));
+  return numeratorSeries.map(point => ({
+    ...point,
+    value: divideOrZero(point.value, denominators.get(point.date.getTime()) || 0)
+  }));
+}
+
+// -------------------- Card Ordering --------------------
+// Descending order that copes with ±Infinity (changes from a zero reference)
+function compareDescending(a, b) {
+  return (b > a) - (b < a);
+}
+
+// Relative change against the first selected comparison; cards without a reference sort last
+function getSortChange(current, reference) {
+  return reference ? (current - reference) / Math.abs(reference) : -Infinity;
+}
+
+// Keep the detailLimit largest members (ranked by the first metric, using the delta when
+// cards are sorted by delta) and add an "Others" group rolling up the rest in every range
+function limitDetailMembers(results, keys, metricName) {
+  const limit = state.display.detailLimit;
+  if (!limit || keys.length <= limit || !metricName) {
+    return { detailKeys: keys, othersKey: null, otherKeys: [] };
+  }
+
+  const comparisonId = state.comparisons[0];
+  const score = key => {
+    const current = results.current?.[key]?.[metricName]?.val || 0;
+    if (state.display.cardSort !== 'delta' || !comparisonId) return current;
+    return getSortChange(current, results[comparisonId]?.[key]?.[metricName]?.val || 0);
+  };
+  const ranked = [...keys].sort((a, b) => compareDescending(score(a), score(b)));
+  const topKeys = new Set(ranked.slice(0, limit));
+  const detailKeys = keys.filter(key => topKeys.has(key)); // Keep Tableau's order until sorted
+  const otherKeys = keys.filter(key => !topKeys.has(key));
+  if (!state.display.showOthers) {
+    return { detailKeys, othersKey: null, otherKeys: [] };
+  }
+
+  let othersKey = t('app.others', { count: otherKeys.length });
+  while (keys.includes(othersKey)) othersKey += ' '; // Never collide with a real member
+
+  Object.values(results).forEach(groups => {
+    if (!groups) return;
+    const rollup = {};
+    otherKeys.forEach(key => {
+      Object.entries(groups[key] || {}).forEach(([field, { val, fmt }]) => {
+        if (!rollup[field]) rollup[field] = { val: 0, fmt: '', values: [] };
+        rollup[field].values.push(val);
+        if (!rollup[field].fmt) rollup[field].fmt = fmt;
+      });
+    });
+    Object.entries(rollup).forEach(([field, metric]) => {
+      // Exact for SUM/MIN/MAX; COUNTD, AVG etc. of the members do not add up to the group's
+      // value and stay empty unless applyExactTotals recomputes them from underlying rows
+      const aggType = getAggregationType(field);
+      metric.val = !aggType || canPreaggregate(field) ? aggregateValues(metric.values, aggType) : null;
+      delete metric.values;
+    });
+    setRatioValues(rollup);
+    groups[othersKey] = rollup;
+  });
+
+  return { detailKeys: [...detailKeys, othersKey], othersKey, otherKeys };
+}
+
+// Card comparator for the configured sort; the "Others" card always goes last
+function compareCards(a, b) {
+  if (Boolean(a.otherKeys) !== Boolean(b.otherKeys)) return a.otherKeys ? 1 : -1;
+
+  const comparisonId = state.comparisons[0];
+  switch (state.display.cardSort) {
+    case 'value':
+      return compareDescending(a.current, b.current);
+    case 'delta':
+      if (!comparisonId) return 0;
+      return compareDescending(
+        getSortChange(a.current, a.comparisonValues[comparisonId]),
+        getSortChange(b.current, b.comparisonValues[comparisonId]));
+    case 'alpha':
+      return (a.detailKey || a.name).localeCompare(b.detailKey || b.name, getLocale(), { numeric: true }) ||
+        a.name.localeCompare(b.name, getLocale(), { numeric: true });
+    default:
+      return 0; // Field and Tableau order (sort is stable)
+  }
+}
+
+// Flatten cards given per metric (each a list per detail member, same member order) into
+// the final order: 'metric' keeps each metric's cards together, 'detail' each member's
+function arrangeCards(cardsByMetric) {
+  // Without a detail field every metric has one card: sort the metrics themselves
+  if (cardsByMetric.every(group => group.length <= 1)) {
+    return cardsByMetric.flat().sort(compareCards);
+  }
+
+  if (state.display.cardGrouping === 'detail') {
+    // Members ordered by the first metric's cards; metrics keep the encoding order
+    const memberOrder = [...cardsByMetric[0]].sort(compareCards).map(card => card.detailKey);
+    return memberOrder.flatMap(detailKey =>
+      cardsByMetric.map(group => group.find(card => card.detailKey === detailKey)).filter(Boolean));
+  }
+
+  return cardsByMetric.flatMap(group => [...group].sort(compareCards));
+}
+
+// -------------------- Card Layout --------------------
+// Layouts with a chart area ('value' and 'valueDelta' are numbers only)
+const CHART_LAYOUTS = ['full', 'sparkline', 'row'];
+
+// Smallest comfortable card per layout (px). The grid picks the column count that keeps
+// cards closest to this size in the current zone; smaller cards switch to tight density.
+const CARD_MIN_SIZES = {
+  full: { width: 240, height: 200 },
+  valueDelta: { width: 150, height: 96 },
+  value: { width: 120, height: 72 },
+  sparkline: { width: 180, height: 120 },
+  row: { width: 360, height: 56 }
+};
+
+function layoutShowsCharts() {
+  return state.display.showCharts && CHART_LAYOUTS.includes(state.display.layout);
+}
+
+// Columns and card scale for `count` cards in the container's current size
+function applyGridLayout(count = state.renderedCards.length) {
+  const container = document.getElementById('kpi-container');
+  if (!container || count === 0) return;
+
+  const style = getComputedStyle(container);
+  const gap = parseFloat(style.columnGap) || 0;
+  const width = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+  const height = container.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+  const minSize = CARD_MIN_SIZES[state.display.layout] || CARD_MIN_SIZES.full;
+
+  // Scale of a card at `cols` columns relative to the comfortable size
+  const scaleFor = cols => {
+    const rows = Math.ceil(count / cols);
+    const cardWidth = (width - (cols - 1) * gap) / cols;
+    const cardHeight = (height - (rows - 1) * gap) / rows;
+    return Math.min(cardWidth / minSize.width, cardHeight / minSize.height);
+  };
+
+  let cols = parseInt(state.display.columns) || 0; // Fixed by the author
+  if (!cols) {
+    cols = 1;
+    for (let candidate = 2; candidate <= count; candidate++) {
+      if (scaleFor(candidate) > scaleFor(cols)) cols = candidate;
+    }
+  }
+
+  const scale = scaleFor(cols);
+  container.style.gridTemplateColumns = `repeat(${cols}, minmax(0, 1fr))`;
+  container.style.gridAutoRows = '1fr';
+  container.style.setProperty('--card-scale', Math.max(0.5, Math.min(1.4, scale)).toFixed(2));
+  container.dataset.density = scale < 0.8 ? 'tight' : 'normal';
+}
+
+// Redraw charts at their new size from the chart cache (no data is fetched)
+function redrawCharts() {
+  if (!layoutShowsCharts()) return;
+  state.renderedCards.forEach(card => {
+    const cached = state.chartCache[getChartCacheKey(card)];
+    const safeChartName = card.name.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-');
+    const container = document.getElementById(`chart-${safeChartName}-${card.chartType}`);
+    if (!cached || !container || !cached.dataCurrent?.length) return;
+
+    const subtitleText = card.detailKey
+      ? `${card.baseName} ${formatPeriodText()}: ${card.detailKey}`
+      : `${card.baseName} ${formatPeriodText()}`;
+    container.innerHTML = '';
+    const render = card.chartType === 'line' ? renderLineChart : renderBarChart;
+    render(container.id, cached.dataCurrent, cached.dataReference, subtitleText, card.dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, false, card.format, card.neutralBand);
+  });
+}
+
+// Re-fit the grid whenever the extension zone changes size
+function observeContainerSize() {
+  const container = document.getElementById('kpi-container');
+  if (!container || typeof ResizeObserver === 'undefined') return;
+
+  let redrawTimer = null;
+  let lastSize = '';
+  new ResizeObserver(entries => {
+    const { width, height } = entries[0].contentRect;
+    const size = `${Math.round(width)}x${Math.round(height)}`;
+    if (size === lastSize) return;
+    lastSize = size;
+
+    applyGridLayout();
+    clearTimeout(redrawTimer);
+    redrawTimer = setTimeout(redrawCharts, 150);
+  }).observe(container);
+}
+
+// Percent-to-target, gap and pacing line under the comparisons
+function renderTargetLine(metric, getTrendClass) {
+  if (!metric.target) return '';
+
+  const { attainment, gap, pacing } = metric.target;
+  const sign = gap >= 0 ? '+' : '-';
+  const pacingHtml = pacing
+    ? `<span class="comp-divider">|</span>
+       <span class="comp-val ${getTrendClass(pacing.projected - metric.target.value, metric.target.value)}" title="${t('target.pacingTitle', { value: formatNumber(pacing.projected, metric.isPercentage, metric.format) })}">
+         ${t('target.onTrack', { pct: formatPercent(pacing.attainment, { locale: getLocale(), decimals: 0 }) })}
+       </span>`
+    : '';
+
+  return `
+      <div class="target-line" title="${t('target.title', { value: formatNumber(metric.target.value, metric.isPercentage, metric.format) })}">
+        <span class="comp-label">${t('target.label')}</span>
+        <span class="comp-val ${getTrendClass(gap, metric.target.value)}">${formatPercent(attainment, { locale: getLocale() })}</span>
+        <span class="comp-divider">|</span>
+        <span class="comp-val ${getTrendClass(gap, metric.target.value)}">${sign}${formatNumber(Math.abs(gap), metric.isPercentage, metric.format)}</span>
+        ${pacingHtml}
+      </div>`;
+}
+
+// Projected end-of-period value under the comparisons
+function renderForecastLine(metric) {
+  if (!metric.forecast) return '';
+
+  const { method, projected, end } = metric.forecast;
+  return `
+      <div class="forecast-line" title="${t('forecast.title', { date: formatDate(end), method: t(`forecast.method.${method}`) })}">
+        <span class="comp-label">${t('forecast.label')}</span>
+        <span class="comp-val">${formatNumber(projected, metric.isPercentage, metric.format)}</span>
+      </div>`;
+}
+
 // Render skeleton loading animation
 function renderSkeletonChart(elementId) {
   const container = document.getElementById(elementId);
@@ -1005,27 +3017,16 @@ function renderSkeletonLineChart(elementId) {
   // Two gray lines simulating current and reference with pulse animation
   const svg = `
     <svg width="100%" height="100%" viewBox="0 0 100 100" preserveAspectRatio="none" style="overflow: visible;">
-      <style>
-        @keyframes pulse-stroke {
-          0% { stroke: #e2e8f0; }
-          50% { stroke: #94a3b8; }
-          100% { stroke: #e2e8f0; }
-        }
-        .skeleton-line-main {
-          animation: pulse-stroke 1.5s infinite ease-in-out;
-        }
-      </style>
-      
       <!-- Reference line simulation (solid, thicker, wavy, lower) -->
       <path d="M0,85 Q10,92 20,85 Q30,78 40,85 Q50,92 60,85 Q70,78 80,85 Q90,92 100,85" 
             fill="none" 
-            stroke="#e2e8f0" 
+            style="stroke: var(--skeleton-color)" 
             stroke-width="1" />
 
       <!-- Current line simulation (solid, thicker, wavy, pulsing, lower) -->
       <path d="M0,95 Q10,80 20,90 Q30,98 40,85 Q50,75 60,90 Q70,98 80,85 Q90,75 100,90" 
             fill="none" 
-            stroke="#cbd5e1" 
+            style="stroke: var(--skeleton-color)" 
             stroke-width="1"
             class="skeleton-line-main" />
     </svg>
@@ -1034,8 +3035,24 @@ function renderSkeletonLineChart(elementId) {
   container.innerHTML = `<div class="skeleton-chart" style="display:block; width:100%; height:100%;">${svg}</div>`;
 }
 
+// Everything that shapes a chart's series is in the key, so a missed clear serves no stale chart
+function getChartCacheKey(card) {
+  const customRange = state.selectedPeriod === 'custom' ? `${state.customStart}:${state.customEnd}` : '';
+  const { incompletePeriods, cumulativeCharts, chartReference, chartReference2 } = state.display;
+  return [
+    card.name,
+    `${state.selectedPeriod}${customRange}`,
+    state.granularity,
+    state.anchorDate ? state.anchorDate.getTime() : '',
+    card.forecast?.method || '',
+    incompletePeriods,
+    cumulativeCharts ? 'cumulative' : '',
+    `${chartReference}:${chartReference2}`
+  ].join('-');
+}
+
 // Lazy load charts (bars and lines) in background
-async function loadChartsAsync(worksheet, dateFieldName, cards, periods, sessionId) {
+async function loadChartsAsync(worksheet, dateFieldName, cards, periods, sessionId, dataIndex = null) {
   // Set flag to prevent SummaryDataChanged events during chart loading from triggering refresh
   // state.isApplyingOwnFilters = true; // Managed by refreshKPIs now
 
@@ -1049,10 +3066,10 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
       try {
         // Use baseName for fetching data (original metric name) but name for cache key (includes detail)
         const metricName = card.baseName || card.name;
-        const detailKey = card.detailKey || '';
+        const detailKey = card.otherKeys || card.detailKey || '';
 
         let chartDataCurrent, chartDataReference;
-        const cacheKey = `${card.name}-${state.selectedPeriod}`;
+        const cacheKey = getChartCacheKey(card);
         const cached = state.chartCache[cacheKey];
 
         // Generate safe chartId
@@ -1060,19 +3077,18 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
         const chartId = `chart-${safeChartName}-${card.chartType}`;
 
         // Format subtitle: "Metric Name Rolling 30 Days: Detail Value"
-        const periodText = state.selectedPeriod === 'rolling'
-          ? `Rolling ${state.rollingCount} ${state.granularity.charAt(0).toUpperCase() + state.granularity.slice(1)}`
-          : `${state.selectedPeriod.toUpperCase()} - ${state.granularity.charAt(0).toUpperCase() + state.granularity.slice(1)}`;
+        const periodText = formatPeriodText();
 
         const subtitleText = card.detailKey
           ? `${card.baseName} ${periodText}: ${card.detailKey}`
           : `${card.baseName} ${periodText}`;
 
         // Check cache: Must match period AND total value (to detect global filter changes)
-        // We use a small epsilon for float comparison
+        // We use a relative epsilon for float comparison (ratios are small numbers)
+        const isSameTotal = (a, b) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
         const isCacheValid = cached &&
-          Math.abs(cached.totalCurrent - card.current) < 0.01 &&
-          Math.abs(cached.totalReference - card.reference) < 0.01;
+          isSameTotal(cached.totalCurrent, card.current) &&
+          isSameTotal(cached.totalReference, card.reference);
 
         if (isCacheValid) {
           chartDataCurrent = cached.dataCurrent;
@@ -1081,41 +3097,40 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
           // Render both at once from cache
           if (chartDataCurrent && chartDataCurrent.length > 0) {
             if (card.chartType === 'line') {
-              renderLineChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields);
+              renderLineChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
             } else {
-              renderBarChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields);
+              renderBarChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
             }
           }
         } else {
           // Progressive loading:
           // 1. Render empty chart container immediately
           if (card.chartType === 'line') {
-            renderLineChart(chartId, [], [], subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
+            renderLineChart(chartId, [], [], subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
           } else {
-            renderBarChart(chartId, [], [], subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
+            renderBarChart(chartId, [], [], subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
           }
 
-          // 2. Fetch and render REFERENCE period (gray bars)
-          chartDataReference = await fetchChartDataByGranularity(
-            worksheet,
-            dateFieldName,
-            metricName,
-            periods.prevMonth,
-            card.tooltipFields,
-            detailKey,
-            sessionId
-          );
+          // 2. Fetch and render the REFERENCE series (gray bars, see getChartReferences)
+          const referenceSeries = [];
+          for (const id of getChartReferences(card)) {
+            referenceSeries.push(await fetchReferenceSeries(id, worksheet, dateFieldName, metricName, card, periods.current, detailKey, sessionId, dataIndex));
 
-          // Check session validity after async operation
-          if (!isSessionValid(sessionId)) {
-            return; // Abort - a new refresh has started
+            // Check session validity after async operation
+            if (!isSessionValid(sessionId)) {
+              return; // Abort - a new refresh has started
+            }
           }
+          chartDataReference = referenceSeries[0]?.data || [];
+          if (isCumulativeChart(card)) chartDataReference = accumulateSeries(chartDataReference);
 
           // Render reference period first (pass empty array for current)
-          if (card.chartType === 'line') {
-            renderLineChart(chartId, [], chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
-          } else {
-            renderBarChart(chartId, [], chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
+          if (chartDataReference.length > 0) {
+            if (card.chartType === 'line') {
+              renderLineChart(chartId, [], chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
+            } else {
+              renderBarChart(chartId, [], chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
+            }
           }
 
           // Fetch chart data for CURRENT period
@@ -1126,7 +3141,8 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
             periods.current,
             card.tooltipFields,
             detailKey,
-            sessionId
+            sessionId,
+            dataIndex
           );
 
           // Check session validity after async operation
@@ -1134,11 +3150,56 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
             return; // Abort - a new refresh has started
           }
 
+          // Attach per-bucket target values to the current series, unless the target is
+          // already drawn as a reference
+          if (card.targetField && !referenceSeries.some(series => series.id === 'target')) {
+            const targetSeries = await fetchChartDataByGranularity(
+              worksheet,
+              dateFieldName,
+              card.targetField,
+              periods.current,
+              [],
+              detailKey,
+              sessionId,
+              dataIndex
+            );
+
+            if (!isSessionValid(sessionId)) {
+              return; // Abort - a new refresh has started
+            }
+
+            attachTargetSeries(chartDataCurrent, targetSeries);
+          }
+
+          // Partial buckets by the incomplete-period policy; forecast buckets follow suit. The
+          // second reference rides on the first as .secondary (see renderChartLegend).
+          // Running totals are sums, so they are never charted per day.
+          const cumulative = isCumulativeChart(card);
+          const isPerDayAdditive = card.isAdditive && !cumulative;
+          const rawCurrent = chartDataCurrent;
+          const currentBuckets = describeBuckets(rawCurrent, periods.current);
+          chartDataCurrent = applyIncompletePolicy(rawCurrent, periods.current, isPerDayAdditive);
+          const [primary, secondary] = referenceSeries.map(({ id, data, range, getReferenceRange }) => {
+            const aligned = alignDailyReference(rawCurrent, data, periods.current, range, getReferenceRange);
+            const policed = applyIncompletePolicy(aligned, range, isPerDayAdditive, currentBuckets);
+            const series = cumulative ? accumulateSeries(policed) : policed;
+            series.reference = id;
+            return series;
+          });
+          chartDataReference = primary || [];
+          if (secondary) chartDataReference.secondary = secondary;
+
+          if (card.forecast) {
+            const forecastBuckets = getForecastBuckets(card.forecast, periods.current);
+            chartDataCurrent.forecast = adjustForecastBuckets(forecastBuckets, rawCurrent, periods.current, card.forecast.end, isPerDayAdditive);
+          }
+          if (cumulative) chartDataCurrent = accumulateSeries(chartDataCurrent);
+
           // Re-render with both current and reference data
           if (card.chartType === 'line') {
-            renderLineChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
+            renderLineChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
           } else {
-            renderBarChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true);
+            renderBarChart(chartId, chartDataCurrent, chartDataReference, subtitleText, dateFieldName, card.isPercentage, card.isUnfavorable, card.tooltipFields, true, card.format, card.neutralBand);
           }
 
           // Update cache
@@ -1157,186 +3218,67 @@ async function loadChartsAsync(worksheet, dateFieldName, cards, periods, session
     // Reset flag after all chart loading is complete
     // state.isApplyingOwnFilters = false; // Managed by refreshKPIs now
   }
-}
-
-// Fetch chart data with granularity support
-async function fetchChartDataByGranularity(worksheet, dateFieldName, metricField, range, tooltipFields = [], detailKey = '', sessionId = null) {
-  const granularity = state.granularity || 'days';
-
-  if (granularity === 'days') {
-    return await fetchBarChartData(worksheet, dateFieldName, metricField, range, tooltipFields, detailKey, sessionId);
-  } else {
-    // Check if metric can be pre-aggregated (SUM, CNT, MIN, MAX)
-    // For these, we fetch all data in one query and aggregate locally
-    if (canPreaggregate(metricField)) {
-      return await fetchPreaggregatableChartData(worksheet, dateFieldName, metricField, range, tooltipFields, granularity, detailKey, sessionId);
-    } else {
-      // For CNTD, AVG, AGG etc. - use separate queries per period (slower but accurate)
-      return await fetchAggregatedChartData(worksheet, dateFieldName, metricField, range, tooltipFields, granularity, detailKey, sessionId);
-    }
-  }
-}
-
-// Optimized fetch for pre-aggregatable functions (SUM, CNT, MIN, MAX)
-// Fetches all data in ONE query and aggregates locally by period
-async function fetchPreaggregatableChartData(worksheet, dateFieldName, metricField, range, tooltipFields = [], granularity, detailKey = '', sessionId = null) {
-  try {
-    const periods = generatePeriods(range.start, range.end, granularity);
-    const detailFields = state.encodings?.detailFields || [];
-    const aggType = getAggregationType(metricField);
-
-    // Single query for the entire range
-    await worksheet.applyRangeFilterAsync(dateFieldName, {
-      min: range.start,
-      max: range.end
-    });
-
-    const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
-
-    // Check session validity after async operation
-    if (sessionId !== null && !isSessionValid(sessionId)) {
-      await worksheet.clearFilterAsync(dateFieldName);
-      return [];
-    }
-
-    const dateIndex = summary.columns.findIndex(c => c.fieldName === dateFieldName);
-    const metricIndex = summary.columns.findIndex(c => c.fieldName === metricField);
-
-    // If date column is not available, fall back to slow method
-    if (dateIndex === -1 || metricIndex === -1) {
-      await worksheet.clearFilterAsync(dateFieldName);
-      return await fetchAggregatedChartData(worksheet, dateFieldName, metricField, range, tooltipFields, granularity, detailKey, sessionId);
-    }
-
-    // Find indices for detail fields
-    const detailColIndices = {};
-    detailFields.forEach(dName => {
-      const idx = summary.columns.findIndex(c => c.fieldName === dName);
-      if (idx !== -1) detailColIndices[dName] = idx;
-    });
-
-    // Find indices for tooltip fields
-    const tooltipIndices = tooltipFields.map(tf => ({
-      name: tf,
-      index: summary.columns.findIndex(c => c.fieldName === tf),
-      aggType: getAggregationType(tf) // Get aggregation type for tooltip fields too
-    }));
-
-    // Initialize period buckets
-    const periodBuckets = periods.map(period => ({
-      period,
-      values: [],
-      tooltipValues: {}
-    }));
-
-    // Initialize tooltip accumulators for each period
-    periodBuckets.forEach(bucket => {
-      tooltipFields.forEach(tf => {
-        bucket.tooltipValues[tf] = { values: [], fmt: '' };
-      });
-    });
-
-    // Assign each row to appropriate period bucket
-    summary.data.forEach(row => {
-      // Filter by detailKey if specified
-      if (detailKey && detailFields.length > 0) {
-        const detailParts = [];
-        for (const dName of detailFields) {
-          const idx = detailColIndices[dName];
-          if (idx !== undefined) {
-            const val = row[idx].formattedValue || row[idx].nativeValue || '';
-            detailParts.push(String(val));
-          }
-        }
-        const rowDetailKey = detailParts.join(' | ');
-        if (rowDetailKey !== detailKey) return; // Skip rows that don't match
-      }
-
-      const rawDate = row[dateIndex].nativeValue;
-      if (!rawDate) return;
-      const rowDate = new Date(rawDate);
-
-      // Find which period this row belongs to
-      for (const bucket of periodBuckets) {
-        if (rowDate >= bucket.period.start && rowDate <= bucket.period.end) {
-          const val = row[metricIndex].nativeValue;
-          if (typeof val === 'number') {
-            bucket.values.push(val);
-          }
-
-          // Collect tooltip values
-          tooltipIndices.forEach(ti => {
-            if (ti.index === -1) return;
-            const cell = row[ti.index];
-            const tVal = cell.nativeValue;
-            const tFmt = cell.formattedValue;
-
-            if (typeof tVal === 'number') {
-              bucket.tooltipValues[ti.name].values.push(tVal);
-            }
-            if (!bucket.tooltipValues[ti.name].fmt && tFmt) {
-              bucket.tooltipValues[ti.name].fmt = tFmt;
-            }
-          });
-          break; // Row can only belong to one period
-        }
-      }
-    });
+}
 
-    // Aggregate values per period based on aggregation type
-    const dataPoints = periodBuckets.map(bucket => {
-      let aggregatedValue = 0;
-      const values = bucket.values;
-
-      if (values.length > 0) {
-        if (aggType === 'SUM' || aggType === 'CNT' || aggType === 'COUNT') {
-          aggregatedValue = values.reduce((sum, v) => sum + v, 0);
-        } else if (aggType === 'MIN') {
-          aggregatedValue = Math.min(...values);
-        } else if (aggType === 'MAX') {
-          aggregatedValue = Math.max(...values);
-        }
-      }
+// Copy target values onto current data points, matching buckets by date
+function attachTargetSeries(currentData, targetData) {
+  const targetByTime = new Map((targetData || []).map(d => [d.date.getTime(), d.value]));
+  currentData.forEach(d => {
+    const target = targetByTime.get(d.date.getTime());
+    if (typeof target === 'number') d.target = target;
+  });
+}
 
-      // Aggregate tooltip values
-      const periodTooltipValues = {};
-      tooltipFields.forEach(tf => {
-        const tfData = bucket.tooltipValues[tf];
-        const tfAggType = getAggregationType(tf);
-        let tfAggValue = 0;
-
-        if (tfData.values.length > 0) {
-          if (tfAggType === 'SUM' || tfAggType === 'CNT' || tfAggType === 'COUNT' || !tfAggType) {
-            tfAggValue = tfData.values.reduce((sum, v) => sum + v, 0);
-          } else if (tfAggType === 'MIN') {
-            tfAggValue = Math.min(...tfData.values);
-          } else if (tfAggType === 'MAX') {
-            tfAggValue = Math.max(...tfData.values);
-          } else if (tfAggType === 'AVG') {
-            // For AVG in tooltips, we can approximate
-            tfAggValue = tfData.values.reduce((sum, v) => sum + v, 0) / tfData.values.length;
-          } else {
-            // Fallback to sum for unknown types
-            tfAggValue = tfData.values.reduce((sum, v) => sum + v, 0);
-          }
-        }
+// Daily reference points paired with the current days by position: point i is the day the
+// comparison maps current day i to (e.g. the same weekday a year back), so days missing from
+// either series cannot shift the pairing. Ranges of equal length pair day by day at their
+// offset; otherwise each day maps through getReferenceRange (e.g. Mar 31 -> Feb 28).
+// Coarser buckets already pair by position.
+function alignDailyReference(currentData, referenceData, currentRange, referenceRange, getReferenceRange) {
+  if ((state.granularity || 'days') !== 'days' || !currentData || currentData.length === 0) return referenceData;
+  const byTime = new Map((referenceData || []).map(d => [d.date.getTime(), d]));
+  const dayMs = 24 * 60 * 60 * 1000;
+  const isSameLength = Math.round((currentRange.end - currentRange.start) / dayMs) ===
+    Math.round((referenceRange.end - referenceRange.start) / dayMs);
+  const offset = referenceRange.start - currentRange.start;
+  return currentData.map(d => {
+    const date = isSameLength || !getReferenceRange
+      ? new Date(d.date.getTime() + offset)
+      : getReferenceRange({ start: d.date, end: d.date }).start;
+    return byTime.get(date.getTime()) || { date, value: 0, tooltipValues: {} };
+  });
+}
 
-        periodTooltipValues[tf] = { val: tfAggValue, fmt: tfData.fmt };
-      });
+// Fetch chart data with granularity support
+async function fetchChartDataByGranularity(worksheet, dateFieldName, metricField, range, tooltipFields = [], detailKey = '', sessionId = null, dataIndex = null) {
+  const granularity = state.granularity || 'days';
 
-      return {
-        date: new Date(bucket.period.start),
-        value: aggregatedValue,
-        tooltipValues: periodTooltipValues
-      };
-    });
+  // Ratio: sum each side per bucket (the additive fast path), then divide
+  const ratio = state.encodings?.ratios?.[metricField];
+  if (ratio) {
+    const numeratorSeries = await fetchChartDataByGranularity(worksheet, dateFieldName, ratio.numerator, range, tooltipFields, detailKey, sessionId, dataIndex);
+    const denominatorSeries = await fetchChartDataByGranularity(worksheet, dateFieldName, ratio.denominator, range, [], detailKey, sessionId, dataIndex);
+    return divideSeries(numeratorSeries, denominatorSeries);
+  }
 
-    await worksheet.clearFilterAsync(dateFieldName);
-    return dataPoints;
+  // Fast path: bucket the rows refreshKPIs already fetched (no filter round trips).
+  // Pre-aggregatable functions (SUM, CNT, MIN, MAX) can be re-aggregated locally, daily
+  // buckets match the sheet's own grain, and other functions use the row-level data when it
+  // was read. 'summary' mode never filters the sheet, so without row-level data its coarser
+  // buckets of other functions are approximate (the chart is marked, see renderKPIs).
+  const isExactLocally = granularity === 'days' || canPreaggregate(metricField) ||
+    Boolean(dataIndex?.underlying?.foundFields.includes(metricField));
+  const bucketLocally = isExactLocally || state.dataAccessMode !== 'filter';
+  if (dataIndex && dataIndex.hasDate && bucketLocally) {
+    return buildChartSeries(dataIndex, metricField, range, tooltipFields, detailKey, granularity);
+  }
 
-  } catch (e) {
-    return [];
+  if (granularity === 'days') {
+    return await fetchDailyChartDataByFilter(worksheet, dateFieldName, metricField, range, tooltipFields, detailKey, sessionId);
   }
+
+  // For CNTD, AVG, AGG etc. - use separate queries per period (slower but accurate)
+  return await fetchAggregatedChartData(worksheet, dateFieldName, metricField, range, tooltipFields, granularity, detailKey, sessionId);
 }
 
 // Fetch aggregated data for weeks/months/quarters/years (SLOW - separate query per period)
@@ -1351,20 +3293,17 @@ async function fetchAggregatedChartData(worksheet, dateFieldName, metricField, r
     for (const period of periods) {
       // Check session validity before each period
       if (sessionId !== null && !isSessionValid(sessionId)) {
-        await worksheet.clearFilterAsync(dateFieldName);
+        await restoreDateFilter(worksheet, dateFieldName);
         return [];
       }
 
-      await worksheet.applyRangeFilterAsync(dateFieldName, {
-        min: period.start,
-        max: period.end
-      });
+      await applyTemporaryDateFilter(worksheet, dateFieldName, period);
 
       const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
 
       // Check session validity after async operation
       if (sessionId !== null && !isSessionValid(sessionId)) {
-        await worksheet.clearFilterAsync(dateFieldName);
+        await restoreDateFilter(worksheet, dateFieldName);
         return [];
       }
       const metricIndex = summary.columns.findIndex(c => c.fieldName === metricField);
@@ -1399,7 +3338,7 @@ async function fetchAggregatedChartData(worksheet, dateFieldName, metricField, r
               }
             }
             const rowDetailKey = detailParts.join(' | ');
-            if (rowDetailKey !== detailKey) return; // Skip rows that don't match
+            if (!matchesDetailKey(rowDetailKey, detailKey)) return; // Skip rows that don't match
           }
 
           const val = row[metricIndex].nativeValue;
@@ -1432,7 +3371,7 @@ async function fetchAggregatedChartData(worksheet, dateFieldName, metricField, r
       });
     }
 
-    await worksheet.clearFilterAsync(dateFieldName);
+    await restoreDateFilter(worksheet, dateFieldName);
     return dataPoints;
 
   } catch (e) {
@@ -1466,47 +3405,12 @@ function generatePeriods(startDate, endDate, granularity) {
       current = new Date(periodEnd);
       current.setDate(current.getDate() + 1);
 
-    } else if (granularity === 'months') {
-      // Month period
-      periodStart.setDate(1);
-      periodStart.setUTCHours(0, 0, 0, 0);
-
-      periodEnd = new Date(periodStart);
-      periodEnd.setMonth(periodEnd.getMonth() + 1);
-      periodEnd.setDate(0); // Last day of month
-      periodEnd.setUTCHours(23, 59, 59, 999);
-
-      current = new Date(periodStart);
-      current.setMonth(current.getMonth() + 1);
-
-    } else if (granularity === 'quarters') {
-      // Quarter period
-      const quarterStart = Math.floor(periodStart.getMonth() / 3) * 3;
-      periodStart.setMonth(quarterStart);
-      periodStart.setDate(1);
-      periodStart.setUTCHours(0, 0, 0, 0);
-
-      periodEnd = new Date(periodStart);
-      periodEnd.setMonth(periodEnd.getMonth() + 3);
-      periodEnd.setDate(0); // Last day of quarter
-      periodEnd.setUTCHours(23, 59, 59, 999);
-
-      current = new Date(periodStart);
-      current.setMonth(current.getMonth() + 3);
-
-    } else if (granularity === 'years') {
-      // Year period
-      periodStart.setMonth(0);
-      periodStart.setDate(1);
-      periodStart.setUTCHours(0, 0, 0, 0);
-
-      periodEnd = new Date(periodStart);
-      periodEnd.setFullYear(periodEnd.getFullYear() + 1);
-      periodEnd.setDate(0); // Last day of year
-      periodEnd.setUTCHours(23, 59, 59, 999);
-
-      current = new Date(periodStart);
-      current.setFullYear(current.getFullYear() + 1);
+    } else {
+      // Month, quarter or year of the calendar (fiscal / retail aware)
+      const period = getPeriodRange(periodStart, PERIOD_UNITS[granularity], getCalendar());
+      periodStart = period.start;
+      periodEnd = period.end;
+      current = new Date(periodEnd.getTime() + 1);
     }
 
     // Don't exceed end date
@@ -1523,219 +3427,53 @@ function generatePeriods(startDate, endDate, granularity) {
   return periods;
 }
 
-async function fetchBarChartData(worksheet, dateFieldName, metricField, range, tooltipFields = [], detailKey = '', sessionId = null) {
+// Per-day fallback when the date column is not in the summary data (SLOW - one query per day)
+async function fetchDailyChartDataByFilter(worksheet, dateFieldName, metricField, range, tooltipFields = [], detailKey = '', sessionId = null) {
   try {
-    // Get detail fields for filtering
-    const detailFields = state.encodings?.detailFields || [];
-
-    // Попытка оптимизированного пути: один запрос на весь диапазон
-    await worksheet.applyRangeFilterAsync(dateFieldName, {
-      min: range.start,
-      max: range.end
-    });
-
-    const summary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
-
-    // Check session validity after async operation
-    if (sessionId !== null && !isSessionValid(sessionId)) {
-      await worksheet.clearFilterAsync(dateFieldName);
-      return [];
-    }
-
-    const dateIndex = summary.columns.findIndex(c => c.fieldName === dateFieldName);
-    const metricIndex = summary.columns.findIndex(c => c.fieldName === metricField);
-
-    // Find indices for detail fields
-    const detailColIndices = {};
-    detailFields.forEach(dName => {
-      const idx = summary.columns.findIndex(c => c.fieldName === dName);
-      if (idx !== -1) detailColIndices[dName] = idx;
-    });
-
-    // Если дата колонка недоступна в summary (например, только в фильтре) —
-    // откатываемся к старому надёжному, но более тяжёлому алгоритму по дням.
-    if (dateIndex === -1 || metricIndex === -1) {
-      await worksheet.clearFilterAsync(dateFieldName);
-
-      const dataPoints = [];
-      const startDate = new Date(range.start);
-      const endDate = new Date(range.end);
-
-      for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        // Check session validity before each day
-        if (sessionId !== null && !isSessionValid(sessionId)) {
-          await worksheet.clearFilterAsync(dateFieldName);
-          return [];
-        }
-
-        const dayStart = new Date(d);
-        dayStart.setUTCHours(0, 0, 0, 0);
-        const dayEnd = new Date(d);
-        dayEnd.setUTCHours(23, 59, 59, 999);
-
-        await worksheet.applyRangeFilterAsync(dateFieldName, {
-          min: dayStart,
-          max: dayEnd
-        });
-
-        const daySummary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
-
-        // Check session validity after async operation
-        if (sessionId !== null && !isSessionValid(sessionId)) {
-          await worksheet.clearFilterAsync(dateFieldName);
-          return [];
-        }
-
-        const metricIdx = daySummary.columns.findIndex(c => c.fieldName === metricField);
-
-        // Find indices for detail fields in day summary
-        const dayDetailColIndices = {};
-        detailFields.forEach(dName => {
-          const idx = daySummary.columns.findIndex(c => c.fieldName === dName);
-          if (idx !== -1) dayDetailColIndices[dName] = idx;
-        });
-
-        const tooltipIndicesFallback = tooltipFields.map(tf => ({
-          name: tf,
-          index: daySummary.columns.findIndex(c => c.fieldName === tf)
-        }));
-
-        let dailyValue = 0;
-        const dailyTooltipValues = {};
-        tooltipFields.forEach(tf => dailyTooltipValues[tf] = { val: null, fmt: '' });
-
-        if (metricIdx !== -1) {
-          daySummary.data.forEach(row => {
-            // Filter by detailKey if specified
-            if (detailKey && detailFields.length > 0) {
-              const detailParts = [];
-              for (const dName of detailFields) {
-                const idx = dayDetailColIndices[dName];
-                if (idx !== undefined) {
-                  const val = row[idx].formattedValue || row[idx].nativeValue || '';
-                  detailParts.push(String(val));
-                }
-              }
-              const rowDetailKey = detailParts.join(' | ');
-              if (rowDetailKey !== detailKey) return; // Skip rows that don't match
-            }
-
-            const val = row[metricIdx].nativeValue;
-            if (typeof val === 'number') dailyValue += val;
-
-            tooltipIndicesFallback.forEach(ti => {
-              if (ti.index === -1) return;
-              const cell = row[ti.index];
-              const tVal = cell.nativeValue;
-              const tFmt = cell.formattedValue;
-              const tv = dailyTooltipValues[ti.name];
-
-              if (typeof tVal === 'number') {
-                if (tv.val === null) tv.val = 0;
-                tv.val += tVal;
-              } else if (tVal !== undefined && tVal !== null) {
-                tv.val = tVal;
-              }
-
-              if (!tv.fmt && tFmt) {
-                tv.fmt = tFmt;
-              }
-            });
-          });
-        }
-
-        dataPoints.push({
-          date: new Date(dayStart),
-          value: dailyValue,
-          tooltipValues: dailyTooltipValues
-        });
-      }
-
-      await worksheet.clearFilterAsync(dateFieldName);
-      return dataPoints;
-    }
-
-    // Индексы для доп. полей тултипа
-    const tooltipIndices = tooltipFields.map(tf => ({
-      name: tf,
-      index: summary.columns.findIndex(c => c.fieldName === tf)
-    }));
-
-    // Группируем по дате (ключ YYYY-MM-DD)
-    const grouped = new Map();
+    const dataPoints = [];
+    const startDate = new Date(range.start);
+    const endDate = new Date(range.end);
 
-    summary.data.forEach(row => {
-      // Filter by detailKey if specified
-      if (detailKey && detailFields.length > 0) {
-        const detailParts = [];
-        for (const dName of detailFields) {
-          const idx = detailColIndices[dName];
-          if (idx !== undefined) {
-            const val = row[idx].formattedValue || row[idx].nativeValue || '';
-            detailParts.push(String(val));
-          }
-        }
-        const rowDetailKey = detailParts.join(' | ');
-        if (rowDetailKey !== detailKey) return; // Skip rows that don't match
+    for (let d = new Date(startDate); d <= endDate; d.setUTCDate(d.getUTCDate() + 1)) {
+      // Check session validity before each day
+      if (sessionId !== null && !isSessionValid(sessionId)) {
+        await restoreDateFilter(worksheet, dateFieldName);
+        return [];
       }
 
-      const rawDate = row[dateIndex].nativeValue;
-      if (!rawDate) return;
-      const d = new Date(rawDate);
-      d.setUTCHours(0, 0, 0, 0);
-      const key = d.toISOString().slice(0, 10);
+      const dayStart = new Date(d);
+      dayStart.setUTCHours(0, 0, 0, 0);
+      const dayEnd = new Date(d);
+      dayEnd.setUTCHours(23, 59, 59, 999);
 
-      if (!grouped.has(key)) {
-        const tooltipInit = {};
-        tooltipFields.forEach(tf => {
-          tooltipInit[tf] = { val: null, fmt: '' };
-        });
-        grouped.set(key, {
-          date: d,
-          value: 0,
-          tooltipValues: tooltipInit
-        });
-      }
+      await applyTemporaryDateFilter(worksheet, dateFieldName, { start: dayStart, end: dayEnd });
 
-      const bucket = grouped.get(key);
-      const val = row[metricIndex].nativeValue;
+      const daySummary = await worksheet.getSummaryDataAsync({ ignoreSelection: true });
 
-      if (typeof val === 'number') {
-        bucket.value += val;
-      } else if (bucket.value === 0 && typeof val !== 'undefined') {
-        bucket.value = val;
+      // Check session validity after async operation
+      if (sessionId !== null && !isSessionValid(sessionId)) {
+        await restoreDateFilter(worksheet, dateFieldName);
+        return [];
       }
 
-      tooltipIndices.forEach(ti => {
-        if (ti.index === -1) return;
-        const cell = row[ti.index];
-        const tVal = cell.nativeValue;
-        const tFmt = cell.formattedValue;
-        const tv = bucket.tooltipValues[ti.name];
-
-        if (typeof tVal === 'number') {
-          if (tv.val === null) tv.val = 0;
-          tv.val += tVal;
-        } else if (tVal !== undefined && tVal !== null) {
-          tv.val = tVal;
-        }
+      const dayIndex = buildDataIndex(daySummary, dateFieldName, [metricField, ...tooltipFields]);
+      const rows = dayIndex.rows.filter(row => matchesDetailKey(row.detailKey, detailKey));
 
-        if (!tv.fmt && tFmt) {
-          tv.fmt = tFmt;
-        }
+      dataPoints.push({
+        date: new Date(dayStart),
+        value: aggregateValues(rows.map(row => row.values[metricField]), getAggregationType(metricField)),
+        tooltipValues: aggregateTooltipValues(rows, tooltipFields)
       });
-    });
-
-    const dataPoints = Array.from(grouped.values()).sort((a, b) => a.date - b.date);
+    }
 
-    await worksheet.clearFilterAsync(dateFieldName);
+    await restoreDateFilter(worksheet, dateFieldName);
     return dataPoints;
   } catch (e) {
     return [];
   }
 }
 
-function renderBarChart(elementId, currentData, referenceData, metricName, dateFieldName, isPercentage, isUnfavorable, tooltipFields = [], shouldAnimate = true) {
+function renderBarChart(elementId, currentData, referenceData, metricName, dateFieldName, isPercentage, isUnfavorable, tooltipFields = [], shouldAnimate = true, format = null, neutralBand = null) {
   const container = document.getElementById(elementId);
   if (!container) return;
 
@@ -1765,16 +3503,25 @@ function renderBarChart(elementId, currentData, referenceData, metricName, dateF
     return;
   }
 
+  // Forecast buckets for the rest of the period (see getForecastBuckets); a partial bucket
+  // stacks on top of the current bar with the same date (the band domain drops duplicates)
+  const forecastData = (hasCurrent && currentData.forecast) || [];
+  const currentByTime = new Map((currentData || []).map(d => [d.date.getTime(), d.value]));
+  const forecastBase = d => (d.partial ? currentByTime.get(d.date.getTime()) || 0 : 0);
+
   // X scale
   const x = d3.scaleBand()
-    .domain(primaryData.map(d => d.date))
+    .domain([...primaryData.map(d => d.date), ...forecastData.map(d => d.date)])
     .range([margin.left, width - margin.right])
     .padding(0.2);
 
   // Y scale
   const maxVal = Math.max(
     d3.max(currentData || [], d => d.value) || 0,
-    d3.max(referenceData || [], d => d.value) || 0
+    d3.max(referenceData || [], d => d.value) || 0,
+    d3.max(referenceData?.secondary || [], d => d.value) || 0,
+    d3.max(currentData || [], d => d.target) || 0,
+    d3.max(forecastData, d => forecastBase(d) + d.value) || 0
   );
 
   const y = d3.scaleLinear()
@@ -1791,7 +3538,7 @@ function renderBarChart(elementId, currentData, referenceData, metricName, dateF
   const refBarsEnter = refBars.enter()
     .append('rect')
     .attr('class', 'bar-ref')
-    .attr('fill', '#e2e8f0')
+    .attr('fill', getThemeColor('chart-reference'))
     .attr('x', d => x(d.date))
     .attr('width', x.bandwidth())
     .attr('y', y(0))
@@ -1830,14 +3577,16 @@ function renderBarChart(elementId, currentData, referenceData, metricName, dateF
 
   const allCurBars = curBarsEnter.merge(curBars);
 
+  // Partial buckets are faded and hatched with the 'faded' policy (see applyIncompletePolicy)
+  const fadePartial = state.display.incompletePeriods === 'faded';
+
   allCurBars
     .attr('data-index', (d, i) => i)
     .attr('fill', (d, i) => {
       const refVal = referenceData?.[i]?.value || 0;
-      const isGrowth = d.value > refVal;
-      const isGood = isUnfavorable ? !isGrowth : isGrowth;
-      return isGood ? '#4f46e5' : '#ef4444';
+      return getToneColor(getChangeTone(d.value - refVal, refVal, isUnfavorable, neutralBand));
     })
+    .classed('bar-partial', d => fadePartial && Boolean(d.partial))
     .transition().duration(shouldAnimate ? 400 : 0)
     .ease(d3.easeQuadOut)
     .delay((d, i) => shouldAnimate ? i * 20 : 0) // Staggered animation
@@ -1846,20 +3595,99 @@ function renderBarChart(elementId, currentData, referenceData, metricName, dateF
     .attr('y', d => y(d.value))
     .attr('height', d => y(0) - y(d.value));
 
+  const hatchId = `${elementId}-hatch`;
+  if (svg.select(`#${hatchId}`).empty()) {
+    svg.append('defs')
+      .append('pattern')
+      .attr('id', hatchId)
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('width', 4)
+      .attr('height', 4)
+      .attr('patternTransform', 'rotate(45)')
+      .append('rect')
+      .attr('class', 'hatch-stroke')
+      .attr('width', 1.5)
+      .attr('height', 4);
+  }
+
+  const hatchBars = svg.selectAll('.bar-hatch')
+    .data(fadePartial && hasCurrent ? currentData.filter(d => d.partial) : []);
+
+  hatchBars.exit().remove();
+
+  hatchBars.enter()
+    .append('rect')
+    .attr('class', 'bar-hatch')
+    .attr('fill', `url(#${hatchId})`)
+    .merge(hatchBars)
+    .attr('x', d => x(d.date) + x.bandwidth() * 0.25)
+    .attr('width', x.bandwidth() * 0.5)
+    .attr('y', d => y(d.value))
+    .attr('height', d => y(0) - y(d.value));
+
+  // --- Forecast Bars (dashed outline, see .bar-forecast) ---
+  const forecastBars = svg.selectAll('.bar-forecast')
+    .data(forecastData);
+
+  forecastBars.exit().remove();
+
+  forecastBars.enter()
+    .append('rect')
+    .attr('class', 'bar-forecast')
+    .call(enter => enter.append('title'))
+    .merge(forecastBars)
+    .attr('x', d => x(d.date) + x.bandwidth() * 0.25)
+    .attr('width', x.bandwidth() * 0.5)
+    .attr('y', d => y(forecastBase(d) + d.value))
+    .attr('height', d => Math.max(0, y(forecastBase(d)) - y(forecastBase(d) + d.value)))
+    .select('title')
+    .text(d => t('forecast.bucket', { date: formatDate(d.date, 'short'), value: formatNumber(forecastBase(d) + d.value, isPercentage, format) }));
+
+  // --- Target Marks (dashed tick across each band) ---
+  const targetMarks = svg.selectAll('.target-mark')
+    .data(hasCurrent ? currentData.filter(d => typeof d.target === 'number') : []);
+
+  targetMarks.exit().remove();
+
+  targetMarks.enter()
+    .append('line')
+    .attr('class', 'target-mark')
+    .merge(targetMarks)
+    .attr('x1', d => x(d.date))
+    .attr('x2', d => x(d.date) + x.bandwidth())
+    .attr('y1', d => y(d.target))
+    .attr('y2', d => y(d.target));
+
+  // --- Second Reference Marks (dotted tick across each band, paired by index) ---
+  const secondaryMarks = svg.selectAll('.reference-mark')
+    .data(hasCurrent && referenceData?.secondary ? currentData.map((d, i) => ({ date: d.date, value: referenceData.secondary[i]?.value || 0 })) : []);
+
+  secondaryMarks.exit().remove();
+
+  secondaryMarks.enter()
+    .append('line')
+    .attr('class', 'reference-mark')
+    .merge(secondaryMarks)
+    .attr('x1', d => x(d.date))
+    .attr('x2', d => x(d.date) + x.bandwidth())
+    .attr('y1', d => y(d.value))
+    .attr('y2', d => y(d.value));
+
+  renderChartLegend(container, hasCurrent ? referenceData : null);
+
   // --- Axis Labels ---
   svg.selectAll('.axis-label').remove();
   if (primaryData.length > 0) {
     const startDate = primaryData[0].date;
-    const endDate = primaryData[primaryData.length - 1].date;
-    const formatDate = d3.timeFormat('%b %d');
+    const endDate = x.domain()[x.domain().length - 1];
 
     svg.append('text')
       .attr('class', 'axis-label')
       .attr('x', 0)
       .attr('y', height - 5)
       .attr('font-size', '10px')
-      .attr('fill', '#9ca3af')
-      .text(formatDate(startDate));
+      .attr('fill', getThemeColor('chart-axis'))
+      .text(formatDate(startDate, 'short'));
 
     svg.append('text')
       .attr('class', 'axis-label')
@@ -1867,63 +3695,33 @@ function renderBarChart(elementId, currentData, referenceData, metricName, dateF
       .attr('y', height - 5)
       .attr('text-anchor', 'end')
       .attr('font-size', '10px')
-      .attr('fill', '#9ca3af')
-      .text(formatDate(endDate));
-  }
-
-  // --- Interaction ---
-  const handleHover = function (event, d) {
-    const i = +d3.select(this).attr('data-index');
-    const refVal = referenceData ? (referenceData[i]?.value || 0) : 0;
-    const currentVal = hasCurrent ? (currentData[i]?.value || 0) : 0;
-    // If hovering ref bar but no current data, use ref value as current for tooltip context?
-    // Or just show what we have.
-    // Logic from attachBarHoverInteraction:
-    // const currentVal = hasCurrent ? d.value : 0; (if d is current)
-    // const referenceVal = hasCurrent ? refVal : d.value; (if d is ref)
-
-    // Simplified: we have index i.
-    // If hasCurrent, d is from currentData (for curBar) or mapped (for refBar).
-    // Let's rely on the index to get values from the source arrays.
-    const cVal = hasCurrent ? currentData[i].value : 0;
-    const rVal = hasRef ? referenceData[i].value : 0;
-    const date = hasCurrent ? currentData[i].date : referenceData[i].date;
-    const tValues = hasCurrent ? currentData[i].tooltipValues : referenceData[i].tooltipValues;
-
-    showTooltipForBar(event, date, cVal, rVal, metricName, isPercentage, isUnfavorable, tooltipFields, tValues);
-
-    // Highlight paired bars
-    svg.selectAll(`.bar-ref[data-index="${i}"]`).classed('active', true);
-    svg.selectAll(`.bar-current[data-index="${i}"]`).classed('active', true);
-  };
-
-  const handleLeave = function (event, d) {
-    hideTooltip();
-    const i = +d3.select(this).attr('data-index');
-    svg.selectAll(`.bar-ref[data-index="${i}"]`).classed('active', false);
-    svg.selectAll(`.bar-current[data-index="${i}"]`).classed('active', false);
-  };
-
-  const handleMove = function (event) {
-    lastEvent = event;
-    updateTooltipPosition();
-  };
-
-  allRefBars
-    .style('cursor', 'pointer')
-    .on('mouseenter', handleHover)
-    .on('mouseleave', handleLeave)
-    .on('mousemove', handleMove);
+      .attr('fill', getThemeColor('chart-axis'))
+      .text(formatDate(endDate, 'short'));
+  }
 
-  allCurBars
-    .style('cursor', 'pointer')
-    .on('mouseenter', handleHover)
-    .on('mouseleave', handleLeave)
-    .on('mousemove', handleMove);
+  // --- Interaction Layer (Brush + Hover, on top of the bars) ---
+  svg.selectAll('.brush').remove();
+  setupBrushInteraction(
+    svg,
+    width,
+    height,
+    margin,
+    x,
+    primaryData,
+    referenceData,
+    metricName,
+    isPercentage,
+    isUnfavorable,
+    'bar',
+    elementId,
+    tooltipFields,
+    format,
+    neutralBand
+  );
 }
 
 // Render line chart for metric
-function renderLineChart(elementId, currentData, referenceData, metricName, dateFieldName, isPercentage, isUnfavorable, tooltipFields = [], shouldAnimate = true) {
+function renderLineChart(elementId, currentData, referenceData, metricName, dateFieldName, isPercentage, isUnfavorable, tooltipFields = [], shouldAnimate = true, format = null, neutralBand = null) {
   const container = document.getElementById(elementId);
   if (!container) return;
 
@@ -1949,15 +3747,35 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
 
   if (primaryData.length === 0) return;
 
+  // Forecast continues the current line: from the last complete point through the projected
+  // total of a partial bucket and the remaining buckets (see getForecastBuckets)
+  let forecastLineData = [];
+  const forecastData = (hasCurrent && currentData.forecast) || [];
+  if (forecastData.length > 0) {
+    const partial = forecastData.find(d => d.partial);
+    const partialIndex = partial ? currentData.findIndex(d => d.date.getTime() === partial.date.getTime()) : -1;
+    const startPoint = partialIndex >= 0 ? currentData[partialIndex - 1] : currentData[currentData.length - 1];
+    forecastLineData = [
+      ...(startPoint ? [startPoint] : []),
+      ...forecastData.map(d => ({
+        date: d.date,
+        value: d.partial && partialIndex >= 0 ? currentData[partialIndex].value + d.value : d.value
+      }))
+    ];
+  }
+
   // X scale (time)
   const x = d3.scaleTime()
-    .domain(d3.extent(primaryData, d => d.date))
+    .domain(d3.extent([...primaryData, ...forecastLineData], d => d.date))
     .range([margin.left, width - margin.right]);
 
   // Y scale - smart domain calculation to fit all values
   const allValues = [
     ...(currentData || []).map(d => d.value),
-    ...(referenceData || []).map(d => d.value)
+    ...(referenceData || []).map(d => d.value),
+    ...(referenceData?.secondary || []).map(d => d.value),
+    ...(currentData || []).filter(d => typeof d.target === 'number').map(d => d.target),
+    ...forecastLineData.map(d => d.value)
   ];
 
   let minData = 0;
@@ -1991,7 +3809,7 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
       .attr('x2', width - margin.right)
       .attr('y1', y(0))
       .attr('y2', y(0))
-      .attr('stroke', '#9ca3af')
+      .attr('stroke', getThemeColor('chart-axis'))
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '4,4')
       .attr('opacity', 0.5);
@@ -2012,20 +3830,102 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
       referenceLineData = referenceData;
     }
 
+    // Running gap: the area between the running totals, toned by who is ahead
+    if (hasCurrent && currentData.cumulative) {
+      const aheadColor = isUnfavorable ? getBadColor() : getGoodColor();
+      const behindColor = isUnfavorable ? getGoodColor() : getBadColor();
+      const gapData = currentData.map((d, i) => ({ date: d.date, current: d.value, reference: referenceLineData[i].value }));
+      const gapArea = (lower, upper) => d3.area()
+        .x(d => x(d.date))
+        .y0(d => y(lower(d)))
+        .y1(d => y(upper(d)))
+        .curve(d3.curveMonotoneX);
+
+      svg.append('path')
+        .datum(gapData)
+        .attr('class', 'running-gap-area')
+        .attr('fill', aheadColor)
+        .attr('d', gapArea(d => d.reference, d => Math.max(d.current, d.reference)));
+
+      svg.append('path')
+        .datum(gapData)
+        .attr('class', 'running-gap-area')
+        .attr('fill', behindColor)
+        .attr('d', gapArea(d => Math.min(d.current, d.reference), d => d.reference));
+    }
+
     svg.append('path')
       .datum(referenceLineData)
       .attr('fill', 'none')
-      .attr('stroke', '#cbd5e1')
+      .attr('stroke', getThemeColor('chart-reference-line'))
       .attr('stroke-width', 1.5)
       .attr('d', line);
   }
 
-  // Draw current period line
+  // Draw second reference line (dotted, see .reference-line-secondary)
+  if (hasCurrent && referenceData?.secondary) {
+    svg.append('path')
+      .datum(currentData.map((d, i) => ({ date: d.date, value: referenceData.secondary[i]?.value || 0 })))
+      .attr('class', 'reference-line-secondary')
+      .attr('fill', 'none')
+      .attr('d', line);
+  }
+  renderChartLegend(container, hasCurrent ? referenceData : null);
+
+  // Draw target line (dashed step)
+  if (hasCurrent && currentData.some(d => typeof d.target === 'number')) {
+    const targetLine = d3.line()
+      .defined(d => typeof d.target === 'number')
+      .x(d => x(d.date))
+      .y(d => y(d.target))
+      .curve(d3.curveStepAfter);
+
+    svg.append('path')
+      .datum(currentData)
+      .attr('class', 'target-line-path')
+      .attr('fill', 'none')
+      .attr('d', targetLine);
+  }
+
+  // Draw forecast (dashed, see .forecast-line-path)
+  if (forecastLineData.length > 1) {
+    svg.append('path')
+      .datum(forecastLineData)
+      .attr('class', 'forecast-line-path')
+      .attr('fill', 'none')
+      .attr('stroke', isUnfavorable ? getBadColor() : getGoodColor())
+      .attr('d', line);
+  }
+
+  // Draw current period line; with the 'faded' policy the partial buckets at the start and
+  // end are faded dashed segments (see .partial-line-path)
   if (hasCurrent) {
+    let solidStart = 0;
+    let solidEnd = currentData.length;
+    if (state.display.incompletePeriods === 'faded') {
+      while (solidStart < solidEnd && currentData[solidStart].partial) solidStart++;
+      while (solidEnd > solidStart && currentData[solidEnd - 1].partial) solidEnd--;
+    }
+    if (solidStart >= solidEnd) [solidStart, solidEnd] = [0, currentData.length]; // Nothing complete
+    const solidData = currentData.slice(solidStart, solidEnd);
+
+    const partialSegments = [
+      solidStart > 0 ? currentData.slice(0, solidStart + 1) : null,
+      solidEnd < currentData.length ? currentData.slice(solidEnd - 1) : null
+    ].filter(Boolean);
+    partialSegments.forEach(segment => {
+      svg.append('path')
+        .datum(segment)
+        .attr('class', 'partial-line-path')
+        .attr('fill', 'none')
+        .attr('stroke', isUnfavorable ? getBadColor() : getGoodColor())
+        .attr('d', line);
+    });
+
     const currentPath = svg.append('path')
-      .datum(currentData)
+      .datum(solidData)
       .attr('fill', 'none')
-      .attr('stroke', isUnfavorable ? '#ef4444' : '#4f46e5')
+      .attr('stroke', isUnfavorable ? getBadColor() : getGoodColor())
       .attr('stroke-width', 2.5)
       .attr('d', line);
 
@@ -2042,8 +3942,8 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
     // Hover Dot (initially hidden)
     const hoverDot = svg.append('circle')
       .attr('r', 4)
-      .attr('fill', isUnfavorable ? '#ef4444' : '#4f46e5')
-      .attr('stroke', '#fff')
+      .attr('fill', isUnfavorable ? getBadColor() : getGoodColor())
+      .attr('stroke', getThemeColor('surface-color'))
       .attr('stroke-width', 2)
       .style('opacity', 0)
       .style('pointer-events', 'none');
@@ -2052,21 +3952,20 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
   // Axis labels
   const domain = x.domain();
   if (domain && domain.length >= 2) {
-    const formatDate = d3.timeFormat('%b %d');
     svg.append('text')
       .attr('x', margin.left)
       .attr('y', height - 5)
       .attr('font-size', '10px')
-      .attr('fill', '#9ca3af')
-      .text(formatDate(domain[0]));
+      .attr('fill', getThemeColor('chart-axis'))
+      .text(formatDate(domain[0], 'short'));
 
     svg.append('text')
       .attr('x', width - margin.right)
       .attr('y', height - 5)
       .attr('text-anchor', 'end')
       .attr('font-size', '10px')
-      .attr('fill', '#9ca3af')
-      .text(formatDate(domain[1]));
+      .attr('fill', getThemeColor('chart-axis'))
+      .text(formatDate(domain[1], 'short'));
   }
 
   // --- Interaction Layer (Brush + Hover) ---
@@ -2083,13 +3982,147 @@ function renderLineChart(elementId, currentData, referenceData, metricName, date
     isUnfavorable,
     'line',
     elementId,
-    tooltipFields
+    tooltipFields,
+    format,
+    neutralBand
   );
 }
 
+// -------------------- Worksheet Interaction --------------------
+// Clicking a card or brushing a chart selects marks or filters the worksheet
+// (state.display.clickAction), so dashboard actions and shared filters can respond.
+
+// Last instant of the chart bucket that starts at date
+function getBucketEnd(date, granularity) {
+  if (PERIOD_UNITS[granularity]) return getPeriodRange(date, PERIOD_UNITS[granularity], getCalendar()).end;
+  const next = shiftUTCDays(date, granularity === 'weeks' ? 7 : 1);
+  return new Date(next.getTime() - 1);
+}
+
+function describeInteraction(interaction) {
+  const parts = [];
+  if (interaction.detailKey) parts.push(interaction.detailKey);
+  if (interaction.range) parts.push(`${formatDate(interaction.range.start)} – ${formatDate(interaction.range.end)}`);
+  return t(interaction.action === 'filter' ? 'interaction.filtered' : 'interaction.selected', { what: parts.join(', ') });
+}
+
+// Show what is applied with a button to clear it
+function renderInteractionBar() {
+  const bar = document.getElementById('interaction-bar');
+  if (!bar) return;
+
+  bar.classList.toggle('hidden', !state.interaction);
+  bar.innerHTML = '';
+  if (!state.interaction) return;
+
+  const label = document.createElement('span');
+  label.textContent = describeInteraction(state.interaction);
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'interaction-clear';
+  button.title = t('interaction.clearTitle');
+  button.textContent = t('interaction.clear');
+  button.addEventListener('click', () => clearInteraction(window.tableau.extensions.worksheetContent.worksheet));
+  bar.append(label, button);
+}
+
+// Select or filter the worksheet for a detail member and/or date range.
+// Replaces the previous interaction.
+async function applyInteraction(worksheet, detailKey, range) {
+  const action = state.display.clickAction;
+  const dateFieldName = state.dateFieldName;
+  const members = state.detailMembers.get(detailKey) || [];
+  if (action === 'none' || (!members.length && !(range && dateFieldName))) return;
+
+  await clearInteraction(worksheet, false);
+
+  try {
+    if (action === 'select') {
+      const criteria = members.map(m => ({ fieldName: m.fieldName, value: [m.value] }));
+      if (range && dateFieldName) {
+        criteria.push({ fieldName: dateFieldName, value: { min: range.start, max: range.end } });
+      }
+      await worksheet.selectMarksByValueAsync(criteria, window.tableau.SelectionUpdateType.Replace);
+      state.interaction = { action, detailKey, range };
+    } else {
+      // Capture the author's filters so clearing puts them back
+      const fieldNames = members.map(m => m.fieldName);
+      if (range && dateFieldName) fieldNames.push(dateFieldName);
+      const captured = {};
+      for (const fieldName of fieldNames) {
+        captured[fieldName] = await captureFilter(worksheet, fieldName);
+      }
+      state.interaction = { action, detailKey, range, captured };
+
+      for (const m of members) {
+        await worksheet.applyFilterAsync(m.fieldName, [m.value], window.tableau.FilterUpdateType.Replace);
+      }
+      if (range && dateFieldName) {
+        // A date filter alone doesn't change our numbers (refreshKPIs lifts it), so skip its events
+        if (!members.length) state.ignoreEventsUntil = Date.now() + 3000;
+        await worksheet.applyRangeFilterAsync(dateFieldName, { min: range.start, max: range.end });
+      }
+    }
+  } catch (e) {
+    // Field no longer on the sheet or value rejected - leave the worksheet as it is
+  }
+
+  renderInteractionBar();
+  document.querySelectorAll('.kpi-item.clickable').forEach(item => {
+    item.classList.toggle('interaction-active', Boolean(detailKey) && item.dataset.detailKey === detailKey);
+  });
+}
+
+// Undo the current interaction: clear the selection, or restore the captured filters
+async function clearInteraction(worksheet, updateUI = true) {
+  const interaction = state.interaction;
+  state.interaction = null;
+
+  if (interaction) {
+    try {
+      if (interaction.action === 'select') {
+        await worksheet.clearSelectedMarksAsync();
+      } else {
+        for (const [fieldName, captured] of Object.entries(interaction.captured || {})) {
+          await restoreCapturedFilter(worksheet, fieldName, captured);
+        }
+      }
+    } catch (e) {
+      // Worksheet changed meanwhile - nothing left to undo
+    }
+  }
+
+  if (updateUI) {
+    renderInteractionBar();
+    document.querySelectorAll('.kpi-item.interaction-active').forEach(item => item.classList.remove('interaction-active'));
+  }
+}
+
+// Clicking the active card again clears it
+function handleCardClick(detailKey) {
+  const worksheet = window.tableau.extensions.worksheetContent.worksheet;
+  if (state.interaction?.detailKey === detailKey && !state.interaction.range) {
+    clearInteraction(worksheet);
+  } else {
+    applyInteraction(worksheet, detailKey, null);
+  }
+}
+
+// Brushed buckets -> date range from the first bucket's start to the last bucket's end
+function handleChartBrush(elementId, selectedData) {
+  if (state.display.clickAction === 'none') return;
+
+  const item = document.getElementById(elementId)?.closest('.kpi-item');
+  const range = {
+    start: new Date(selectedData[0].date),
+    end: getBucketEnd(new Date(selectedData[selectedData.length - 1].date), state.granularity)
+  };
+  applyInteraction(window.tableau.extensions.worksheetContent.worksheet, item?.dataset.detailKey || '', range);
+}
+
 // -------------------- Interaction Logic (Brush & Hover) --------------------
 
-function setupBrushInteraction(svg, width, height, margin, x, data, refData, metricName, isPct, isUnfavorable, chartType, elementId, tooltipFields = []) {
+function setupBrushInteraction(svg, width, height, margin, x, data, refData, metricName, isPct, isUnfavorable, chartType, elementId, tooltipFields = [], format = null, neutralBand = null) {
   const brush = d3.brushX()
     .extent([[margin.left, 0], [width - margin.right, height - margin.bottom]])
     .on('start brush end', brushed);
@@ -2149,15 +4182,23 @@ function setupBrushInteraction(svg, width, height, margin, x, data, refData, met
 
       // 3. Show Aggregated Tooltip
       if (selectedData.length > 0) {
-        updateAggregatedTooltip(event.sourceEvent, selectedData, selectedIndices, refData, metricName, isPct, isUnfavorable, tooltipFields);
+        updateAggregatedTooltip(event.sourceEvent, selectedData, selectedIndices, refData, metricName, isPct, isUnfavorable, tooltipFields, format, neutralBand, Boolean(data.cumulative));
       } else {
         hideTooltip();
       }
 
+      // 4. Select/filter the brushed dates on the worksheet once the user lets go
+      if (event.type === 'end' && event.sourceEvent && selectedData.length > 0) {
+        handleChartBrush(elementId, selectedData);
+      }
+
     } else {
       // Selection cleared
       clearHighlight();
       hideTooltip();
+      if (event.type === 'end' && event.sourceEvent && state.interaction?.range) {
+        clearInteraction(window.tableau.extensions.worksheetContent.worksheet);
+      }
     }
   }
 
@@ -2204,14 +4245,14 @@ function setupBrushInteraction(svg, width, height, margin, x, data, refData, met
       // (See modification in the listener above)
 
       // Actually, let's just use the standard tooltip logic
-      showTooltipForBar(lastEvent, d.date, d.value, refVal, metricName, isPct, isUnfavorable, tooltipFields, d.tooltipValues);
+      showTooltipForBar(lastEvent, d.date, d.value, refVal, metricName, isPct, isUnfavorable, tooltipFields, d.tooltipValues, format, neutralBand, d, refData, index);
 
       // Highlight single item
       highlightSelection([index]);
 
       // Show hover dot for line chart
       if (chartType === 'line') {
-        const dot = svg.select('circle[fill="' + (isUnfavorable ? '#ef4444' : '#4f46e5') + '"]');
+        const dot = svg.select('circle[fill="' + (isUnfavorable ? getBadColor() : getGoodColor()) + '"]');
         if (!dot.empty()) {
           dot.attr('cx', x(d.date))
             .attr('cy', d3.select(svg.selectAll('path').nodes()[1]).attr('d').split('L') ?  // Complex to reverse engineer Y from path
@@ -2282,30 +4323,48 @@ function setupBrushInteraction(svg, width, height, margin, x, data, refData, met
   }
 }
 
-function updateAggregatedTooltip(event, selectedData, selectedIndices, refData, metricName, isPct, isUnfavorable, tooltipFields = []) {
+// isCumulative: the series are running totals (see accumulateSeries), compared at the brush
+// end; the sum is then what the selected buckets added
+function updateAggregatedTooltip(event, selectedData, selectedIndices, refData, metricName, isPct, isUnfavorable, tooltipFields = [], format = null, neutralBand = null, isCumulative = false) {
   // Calculate Aggregates
-  const sumCurrent = d3.sum(selectedData, d => d.value);
-  const sumRef = d3.sum(selectedIndices, i => refData ? (refData[i]?.value || 0) : 0);
-
-  const diff = sumCurrent - sumRef;
-  const pct = sumRef ? (diff / sumRef) * 100 : 0;
+  const sumCurrent = d3.sum(selectedData, d => (isCumulative ? d.bucketValue : d.value));
+  const endIndex = selectedIndices[selectedIndices.length - 1];
+  const compared = isCumulative ? selectedData[selectedData.length - 1].value : sumCurrent;
 
   const startDate = selectedData[0].date;
   const endDate = selectedData[selectedData.length - 1].date;
 
-  const formatDate = d => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const dateRangeStr = `${formatDate(startDate)} - ${formatDate(endDate)}`;
-  const countStr = `${selectedData.length} days`;
+  const dateRangeStr = `${formatDate(startDate, 'short')} - ${formatDate(endDate, 'short')}`;
+  const countStr = t('tooltip.bucketCount', {
+    count: selectedData.length,
+    unit: t(`unit.${state.granularity}`, { count: selectedData.length })
+  });
 
-  // Generate Content
-  const triangle = diff >= 0 ? '▲' : '▼';
-  const sign = diff >= 0 ? '+' : '';
-  const colorClass = isUnfavorable
-    ? (diff >= 0 ? 'negative' : 'positive')
-    : (diff >= 0 ? 'positive' : 'negative');
+  // Sum (or running total at the end) and delta against each reference series (see
+  // getChartReferences)
+  const referenceRows = [refData, refData?.secondary].filter(Boolean).map(series => {
+    const sumRef = isCumulative ? (series[endIndex]?.value || 0) : d3.sum(selectedIndices, i => series[i]?.value || 0);
+    const diff = compared - sumRef;
+    const pct = sumRef ? (diff / sumRef) * 100 : 0;
+    const triangle = diff >= 0 ? '▲' : '▼';
+    const colorClass = TOOLTIP_TONE_CLASSES[getChangeTone(diff, sumRef, isUnfavorable, neutralBand)];
+    const reference = series.reference ? getReferenceLabel(series) : null;
+    const valueLabel = isCumulative ? 'tooltip.referenceValue' : 'tooltip.referenceSum';
+    const deltaLabel = isCumulative ? 'tooltip.runningGapVs' : 'tooltip.deltaVs';
 
-  const deltaValue = isPct ? `${sign}${(diff * 100).toFixed(1)} pp` : `${sign}${formatNumber(Math.abs(diff), false)}`;
-  const pctStr = `${sign}${pct.toFixed(1)}%`;
+    return `
+         <div class="tooltip-divider"></div>
+        <div class="tooltip-row">
+            <span class="tooltip-label">${reference ? t(valueLabel, { reference }) : t('tooltip.reference')}</span>
+            <span class="tooltip-value">${formatNumber(sumRef, isPct, format)}</span>
+        </div>
+        <div class="tooltip-row">
+            <span class="tooltip-label">${reference ? t(deltaLabel, { reference }) : t(isCumulative ? 'tooltip.runningGap' : 'tooltip.delta')}</span>
+            <span class="tooltip-value ${colorClass}">
+                ${triangle} ${formatPercentChange(pct)} <span class="tooltip-divider">|</span> ${formatDeltaValue(diff, isPct, format)}
+            </span>
+        </div>`;
+  }).join('');
 
   // Aggregate extra tooltip fields
   let extraFieldsHtml = '';
@@ -2346,32 +4405,23 @@ function updateAggregatedTooltip(event, selectedData, selectedIndices, refData,
   }
 
   const content = `
-    <div class="tooltip-header">${metricName} (Selected)</div>
+    <div class="tooltip-header">${t('tooltip.selected', { metric: metricName })}</div>
     <div class="tooltip-section">
         <div class="tooltip-row">
-            <span class="tooltip-label">Range:</span>
+            <span class="tooltip-label">${t('tooltip.range')}</span>
             <span class="tooltip-value">${dateRangeStr}</span>
         </div>
         <div class="tooltip-row">
-            <span class="tooltip-label">Count:</span>
+            <span class="tooltip-label">${t('tooltip.count')}</span>
             <span class="tooltip-value">${countStr}</span>
         </div>
          <div class="tooltip-divider"></div>
         <div class="tooltip-row">
-            <span class="tooltip-label">Sum:</span>
-            <span class="tooltip-value">${formatNumber(sumCurrent, isPct)}</span>
-        </div>
-        <div class="tooltip-row">
-            <span class="tooltip-label">Ref Sum:</span>
-            <span class="tooltip-value">${formatNumber(sumRef, isPct)}</span>
-        </div>
-         <div class="tooltip-divider"></div>
-        <div class="tooltip-row">
-            <span class="tooltip-label">Δ:</span>
-            <span class="tooltip-value ${colorClass}">
-                ${triangle} ${pctStr} <span class="tooltip-divider">|</span> ${deltaValue}
-            </span>
+            <span class="tooltip-label">${t('tooltip.sum')}</span>
+            <span class="tooltip-value">${formatNumber(sumCurrent, isPct, format)}</span>
         </div>
+        ${isCumulative ? `<div class="tooltip-row"><span class="tooltip-label">${t('tooltip.runningTotalAt', { date: formatDate(endDate, 'short') })}</span><span class="tooltip-value">${formatNumber(compared, isPct, format)}</span></div>` : ''}
+        ${referenceRows}
         ${extraFieldsHtml}
     </div>
   `;
@@ -2456,30 +4506,17 @@ function hideTooltip() {
 }
 
 function generateTooltipContent(metric, subtitleText) {
-  const currentRange = getRange(state.selectedPeriod, new Date());
-  const prevMonthRange = getPrevMonthRange(currentRange);
-  const prevYearRange = getPrevYearRange(currentRange);
-  const momDiff = metric.current - metric.prevMonth;
-  const momPct = metric.prevMonth ? (momDiff / metric.prevMonth) * 100 : 0;
-  const yoyDiff = metric.current - metric.prevYear;
-  const yoyPct = metric.prevYear ? (yoyDiff / metric.prevYear) * 100 : 0;
-  const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const currentRange = getCurrentRange(state.anchorDate || getTodayUTC());
 
   const formatDelta = (diff, pct, isPercentage) => {
     const triangle = diff >= 0 ? '▲' : '▼';
-    const sign = diff >= 0 ? '+' : '';
-    const deltaValue = isPercentage ? `${sign}${(diff * 100).toFixed(1)} pp` : `${sign}${formatNumber(Math.abs(diff), false)}`;
-    const pctStr = `${sign}${pct.toFixed(1)}%`;
+    const deltaValue = formatDeltaValue(diff, isPercentage, metric.format);
+    const pctStr = formatPercentChange(pct);
     return `${triangle} ${pctStr} <span class="tooltip-divider">|</span> ${deltaValue}`;
   };
 
-  // Helper for color class
-  const getColorClass = (diff) => {
-    if (metric.isUnfavorable) {
-      return diff >= 0 ? 'negative' : 'positive';
-    }
-    return diff >= 0 ? 'positive' : 'negative';
-  };
+  // Tooltip class of a change against its reference (see getChangeTone)
+  const getColorClass = (diff, reference) => TOOLTIP_TONE_CLASSES[getChangeTone(diff, reference, metric.isUnfavorable, metric.neutralBand)];
 
   let extraFieldsHtml = '';
   if (metric.tooltipFields && metric.tooltipFields.length > 0 && metric.tooltipValues) {
@@ -2500,51 +4537,99 @@ function generateTooltipContent(metric, subtitleText) {
 
   const headerText = subtitleText || metric.name;
 
-  return `
-    <div class="tooltip-header">${headerText}</div>
+  const comparisonSections = state.comparisons.map(id => {
+    const comp = COMPARISONS[id];
+    const range = comp.getRange(currentRange);
+    const refVal = metric.comparisonValues?.[id] || 0;
+    const scale = metric.comparisonScales?.[id];
+    const diff = metric.current - refVal;
+    const pct = refVal ? (diff / refVal) * 100 : 0;
+
+    // A period the author's date filter excludes has no value to show (see refreshKPIs)
+    const valueRows = state.filteredOutComparisons.includes(id)
+      ? `<div class="tooltip-row"><span class="tooltip-value">${t('comparison.filteredOutTitle', { field: state.dateFieldName })}</span></div>`
+      : `
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.value')}</span><span class="tooltip-value">${formatNumber(refVal, metric.isPercentage, metric.format)}</span></div>
+      ${scale ? `<div class="tooltip-row"><span class="tooltip-label">${t('tooltip.dayCount')}</span><span class="tooltip-value">${t('tooltip.scaledDays', scale)}</span></div>` : ''}
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.delta')}</span><span class="tooltip-value ${getColorClass(diff, refVal)}">${formatDelta(diff, pct, metric.isPercentage)}</span></div>`;
+
+    return `
+    <div class="tooltip-divider"></div>
     <div class="tooltip-section">
-      <div class="tooltip-main-value">${formatNumber(metric.current, metric.isPercentage)}</div>
-      <div class="tooltip-row"><span class="tooltip-label">Period:</span><span class="tooltip-value">${formatDate(currentRange.start)} - ${formatDate(currentRange.end)}</span></div>
-    </div>
+      <div class="tooltip-comparison-header">${comp.header}</div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.period')}</span><span class="tooltip-value">${formatDate(range.start)} - ${formatDate(range.end)}</span></div>
+      ${valueRows}
+    </div>`;
+  }).join('');
+
+  let targetSection = '';
+  if (metric.target) {
+    const { value, attainment, gap, pacing } = metric.target;
+    const gapSign = gap >= 0 ? '+' : '-';
+    targetSection = `
     <div class="tooltip-divider"></div>
     <div class="tooltip-section">
-      <div class="tooltip-comparison-header">vs Previous Month</div>
-      <div class="tooltip-row"><span class="tooltip-label">Period:</span><span class="tooltip-value">${formatDate(prevMonthRange.start)} - ${formatDate(prevMonthRange.end)}</span></div>
-      <div class="tooltip-row"><span class="tooltip-label">Value:</span><span class="tooltip-value">${formatNumber(metric.prevMonth, metric.isPercentage)}</span></div>
-      <div class="tooltip-row"><span class="tooltip-label">Δ:</span><span class="tooltip-value ${getColorClass(momDiff)}">${formatDelta(momDiff, momPct, metric.isPercentage)}</span></div>
-    </div>
+      <div class="tooltip-comparison-header">${t('tooltip.vsTarget')}</div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.target')}</span><span class="tooltip-value">${formatNumber(value, metric.isPercentage, metric.format)}</span></div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.attainment')}</span><span class="tooltip-value ${getColorClass(gap, value)}">${formatPercent(attainment, { locale: getLocale() })}</span></div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.gap')}</span><span class="tooltip-value ${getColorClass(gap, value)}">${gapSign}${formatNumber(Math.abs(gap), metric.isPercentage, metric.format)}</span></div>
+      ${pacing ? `<div class="tooltip-row"><span class="tooltip-label">${t('tooltip.pacing')}</span><span class="tooltip-value ${getColorClass(pacing.projected - value, value)}">${formatNumber(pacing.projected, metric.isPercentage, metric.format)} (${formatPercent(pacing.attainment, { locale: getLocale(), decimals: 0 })})</span></div>` : ''}
+    </div>`;
+  }
+
+  let forecastSection = '';
+  if (metric.forecast) {
+    const { method, projected, end } = metric.forecast;
+    forecastSection = `
     <div class="tooltip-divider"></div>
     <div class="tooltip-section">
-      <div class="tooltip-comparison-header">vs Previous Year</div>
-      <div class="tooltip-row"><span class="tooltip-label">Period:</span><span class="tooltip-value">${formatDate(prevYearRange.start)} - ${formatDate(prevYearRange.end)}</span></div>
-      <div class="tooltip-row"><span class="tooltip-label">Value:</span><span class="tooltip-value">${formatNumber(metric.prevYear, metric.isPercentage)}</span></div>
-      <div class="tooltip-row"><span class="tooltip-label">Δ:</span><span class="tooltip-value ${getColorClass(yoyDiff)}">${formatDelta(yoyDiff, yoyPct, metric.isPercentage)}</span></div>
+      <div class="tooltip-comparison-header">${t('tooltip.forecast')}</div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.forecastMethod')}</span><span class="tooltip-value">${t(`forecast.method.${method}`)}</span></div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.projected', { date: formatDate(end) })}</span><span class="tooltip-value">${formatNumber(projected, metric.isPercentage, metric.format)}</span></div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.remaining')}</span><span class="tooltip-value">${formatNumber(projected - metric.current, metric.isPercentage, metric.format)}</span></div>
+    </div>`;
+  }
+
+  return `
+    <div class="tooltip-header">${headerText}</div>
+    <div class="tooltip-section">
+      <div class="tooltip-main-value">${formatNumber(metric.current, metric.isPercentage, metric.format)}</div>
+      <div class="tooltip-row"><span class="tooltip-label">${t('tooltip.period')}</span><span class="tooltip-value">${formatDate(currentRange.start)} - ${formatDate(currentRange.end)}</span></div>
     </div>
+    ${comparisonSections}
+    ${targetSection}
+    ${forecastSection}
     ${extraFieldsHtml}
   `;
 }
 
-function showTooltipForBar(e, date, currentVal, refVal, metricName, isPercentage, isUnfavorable = false, tooltipFields = [], tooltipValues = {}) {
-  tooltip.innerHTML = generateBarTooltipContent(date, currentVal, refVal, metricName, isPercentage, isUnfavorable, tooltipFields, tooltipValues);
+function showTooltipForBar(e, date, currentVal, refVal, metricName, isPercentage, isUnfavorable = false, tooltipFields = [], tooltipValues = {}, format = null, neutralBand = null, bucket = null, referenceData = null, index = -1) {
+  tooltip.innerHTML = generateBarTooltipContent(date, currentVal, refVal, metricName, isPercentage, isUnfavorable, tooltipFields, tooltipValues, format, neutralBand, bucket, referenceData, index);
   tooltip.classList.remove('hidden');
   lastEvent = e;
   updateTooltipPosition();
 }
 
-function generateBarTooltipContent(date, currentVal, refVal, metricName, isPercentage, isUnfavorable = false, tooltipFields = [], tooltipValues = {}) {
+// bucket: the current chart point, for its partial / per-day notes (see describeBuckets);
+// referenceData / index: the reference series and the point paired with it, for its label,
+// date and the second reference (see getChartReferences)
+function generateBarTooltipContent(date, currentVal, refVal, metricName, isPercentage, isUnfavorable = false, tooltipFields = [], tooltipValues = {}, format = null, neutralBand = null, bucket = null, referenceData = null, index = -1) {
+  const referenceBucket = referenceData?.[index];
+  const secondary = referenceData?.secondary;
+  const referenceLabel = series => (series?.reference ? t('tooltip.referenceValue', { reference: getReferenceLabel(series) }) : t('tooltip.reference'));
+  // Targets share the current dates, so only shifted references show theirs
+  const showReferenceDate = referenceBucket && referenceData.reference !== 'target';
+  // Running totals (see accumulateSeries) also show the bucket's own value
+  const isCumulative = typeof bucket?.bucketValue === 'number';
+
   const diff = currentVal - refVal;
   const pct = refVal ? (diff / refVal) * 100 : 0;
-  const formatDate = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 
   const triangle = diff >= 0 ? '▲' : '▼';
-  const sign = diff >= 0 ? '+' : '';
-  // Invert colors for unfavorable metrics
-  const colorClass = isUnfavorable
-    ? (diff >= 0 ? 'negative' : 'positive')  // Inverted
-    : (diff >= 0 ? 'positive' : 'negative'); // Normal
+  const colorClass = TOOLTIP_TONE_CLASSES[getChangeTone(diff, refVal, isUnfavorable, neutralBand)];
 
-  const deltaValue = isPercentage ? `${sign}${(diff * 100).toFixed(1)} pp` : `${sign}${formatNumber(Math.abs(diff), false)}`;
-  const pctStr = `${sign}${pct.toFixed(1)}%`;
+  const deltaValue = formatDeltaValue(diff, isPercentage, format);
+  const pctStr = formatPercentChange(pct);
 
   let extraFieldsHtml = '';
   if (tooltipFields.length > 0) {
@@ -2575,21 +4660,26 @@ function generateBarTooltipContent(date, currentVal, refVal, metricName, isPerce
         <div class="tooltip-header">${metricName}</div>
         <div class="tooltip-section">
             <div class="tooltip-row">
-                <span class="tooltip-label">Date:</span>
-                <span class="tooltip-value">${formatDate(date)}</span>
+                <span class="tooltip-label">${t('tooltip.date')}</span>
+                <span class="tooltip-value">${formatDate(date)}${state.granularity === 'weeks' ? ` (${t('tooltip.fiscalWeek', { week: getFiscalWeek(date, getCalendar()) })})` : ''}</span>
             </div>
+            ${bucket?.partial ? `<div class="tooltip-row tooltip-note">${bucket.days < bucket.fullDays ? t('tooltip.partial', { days: bucket.days, total: bucket.fullDays }) : t('tooltip.partialToday')}</div>` : ''}
+            ${bucket?.perDay ? `<div class="tooltip-row tooltip-note">${t('tooltip.perDay')}</div>` : ''}
              <div class="tooltip-divider"></div>
             <div class="tooltip-row">
-                <span class="tooltip-label">Current:</span>
-                <span class="tooltip-value">${formatNumber(currentVal, isPercentage)}</span>
+                <span class="tooltip-label">${t(isCumulative ? 'tooltip.runningTotal' : 'tooltip.current')}</span>
+                <span class="tooltip-value">${formatNumber(currentVal, isPercentage, format)}</span>
             </div>
+            ${isCumulative ? `<div class="tooltip-row"><span class="tooltip-label">${t('tooltip.bucketValue')}</span><span class="tooltip-value">${formatNumber(bucket.bucketValue, isPercentage, format)}</span></div>` : ''}
             <div class="tooltip-row">
-                <span class="tooltip-label">Reference:</span>
-                <span class="tooltip-value">${formatNumber(refVal, isPercentage)}</span>
+                <span class="tooltip-label">${referenceLabel(referenceData)}</span>
+                <span class="tooltip-value">${formatNumber(refVal, isPercentage, format)}</span>
             </div>
+            ${showReferenceDate ? `<div class="tooltip-row"><span class="tooltip-label">${t('tooltip.referenceDate')}</span><span class="tooltip-value">${formatDate(referenceBucket.date)}</span></div>` : ''}
+            ${secondary ? `<div class="tooltip-row"><span class="tooltip-label">${referenceLabel(secondary)}</span><span class="tooltip-value">${formatNumber(secondary[index]?.value || 0, isPercentage, format)}</span></div>` : ''}
              <div class="tooltip-divider"></div>
             <div class="tooltip-row">
-                <span class="tooltip-label">Δ:</span>
+                <span class="tooltip-label">${t(isCumulative ? 'tooltip.runningGap' : 'tooltip.delta')}</span>
                 <span class="tooltip-value ${colorClass}">
                     ${triangle} ${pctStr} <span class="tooltip-divider">|</span> ${deltaValue}
                 </span>
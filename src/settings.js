@@ -0,0 +1,234 @@
+import { NEGATIVE_STYLES, VALUE_FORMATS } from './format.js';
+import { LANGUAGES } from './i18n.js';
+import { THEMES } from './theme.js';
+import { CALENDAR_TYPES } from './calendar.js';
+
+// -------------------- Settings --------------------
+// Keys and defaults shared by the extension (main.js) and the configure dialog (config.js).
+// Values live in tableau.extensions.settings, which only stores strings.
+
+export const SETTINGS_KEYS = {
+  selectedPeriod: 'selectedPeriod',
+  granularity: 'granularity',
+  weekStart: 'weekStart',
+  rollingCount: 'rollingCount',
+  anchorMode: 'anchorMode',
+  anchorFixedDate: 'anchorFixedDate',
+  anchorParameter: 'anchorParameter',
+  customStart: 'customStart', // YYYY-MM-DD, period 'custom'
+  customEnd: 'customEnd',
+  compareStart: 'compareStart', // YYYY-MM-DD, comparison 'custom'
+  compareEnd: 'compareEnd',
+  comparisons: 'comparisons',
+  display: 'display', // JSON object, see DISPLAY_DEFAULTS
+  dataAccessMode: 'dataAccessMode',
+  parameterBindings: 'parameterBindings', // JSON object: control -> parameter name
+  metricFormats: 'metricFormats', // JSON object: metric field -> format override
+  neutralBands: 'neutralBands' // JSON object: metric field -> neutral band override
+};
+
+// How the extension reads data:
+// 'summary' - read the sheet's summary data once and filter by date locally (never touches filters)
+// 'filter'  - apply temporary date filters; the author's date filter is restored afterwards
+export const DATA_ACCESS_MODES = ['summary', 'filter'];
+
+// Card presentation options set in the configure dialog
+export const DISPLAY_DEFAULTS = {
+  decimals: 1, // Decimal places for values and deltas
+  compactNumbers: true, // 12.3K / 4.5M / 6.7B instead of full numbers
+  currency: '', // ISO 4217 code for metrics formatted as currency, e.g. 'USD'
+  negativeStyle: 'minus', // 'minus' | 'parentheses'
+  useTableauFormat: false, // Reuse each field's own Tableau number format
+  positiveColor: '', // Empty = built-in palette
+  negativeColor: '',
+  neutralColor: '', // Changes inside the neutral band
+  neutralMode: 'percent', // Neutral band unit, see NEUTRAL_MODES
+  neutralThreshold: 0, // Changes up to this size are neutral (0 = only exact ties)
+  theme: 'auto', // See THEMES in theme.js
+  themeBackground: '', // Custom theme colors (hex), empty = derived from the base palette
+  themeText: '',
+  themeReference: '',
+  layout: 'full', // See CARD_LAYOUTS
+  columns: 'auto', // 'auto' (fit to the zone size) or a fixed column count
+  fiscalStartMonth: 0, // First month of the fiscal year (0 = January)
+  fiscalCalendar: 'gregorian', // Month/quarter scheme, see CALENDAR_TYPES in calendar.js
+  forecast: 'none', // MTD/QTD/YTD projection method, see FORECAST_METHODS
+  incompletePeriods: 'show', // Trailing partial chart buckets and today's data, see INCOMPLETE_POLICIES
+  yoyAlignment: 'date', // Year-over-year pairing of days, see YOY_ALIGNMENTS
+  chartReference: 'prevPeriod', // Gray series behind the chart, see CHART_REFERENCES
+  chartReference2: 'none', // Optional second reference, drawn as marks with a legend
+  cumulativeCharts: false, // Running totals instead of per-bucket values (additive measures)
+  cardSort: 'none', // See CARD_SORTS
+  cardGrouping: 'metric', // See CARD_GROUPINGS
+  detailLimit: 0, // Cards per metric for detail members (0 = all), ranked by the first metric
+  showOthers: true, // Sum the members past detailLimit into an "Others" card
+  showCharts: true,
+  allowViewerControls: true, // Show period controls outside authoring mode
+  clickAction: 'none', // What clicking a card or brushing a chart does, see CLICK_ACTIONS
+  language: 'auto' // 'auto' (Tableau environment locale) or one of LANGUAGES
+};
+
+// 'full'       - value, all comparisons, target, anchor date and chart
+// 'valueDelta' - value and the first comparison
+// 'value'      - value only
+// 'sparkline'  - value and first comparison above a small chart
+// 'row'        - one horizontal row per card: name, value, delta, chart
+export const CARD_LAYOUTS = ['full', 'valueDelta', 'value', 'sparkline', 'row'];
+
+// 'none'     - no projection
+// 'linear'   - current daily run rate
+// 'weekday'  - day-of-week weighted run rate from recent weeks
+// 'lastYear' - same shape as last year's period
+export const FORECAST_METHODS = ['none', 'linear', 'weekday', 'lastYear'];
+
+// 'show'    - partial buckets as they are
+// 'exclude' - partial buckets left out of charts; cards end yesterday instead of today
+// 'faded'   - partial buckets hatched and faded
+// 'perDay'  - additive metrics charted as averages per day
+// Every policy but 'show' compares like-for-like day counts on cards while a period is running.
+export const INCOMPLETE_POLICIES = ['show', 'exclude', 'faded', 'perDay'];
+
+// 'date'    - same calendar date last year (Feb 29 pairs with Feb 28)
+// 'weekday' - same weekday last year, 364 days back
+// Retail calendars always compare the same fiscal week and weekday.
+export const YOY_ALIGNMENTS = ['date', 'weekday'];
+
+// 'prevPeriod' - the period before the selected one (previous month for MTD, previous
+//                quarter for QTD, previous year for YTD, an equal-length window for Rolling)
+// 'prevYear'   - the same range a year back (see yoyAlignment)
+// 'target'     - the target measure paired with the metric
+// 'none'       - no reference
+export const CHART_REFERENCES = ['prevPeriod', 'prevYear', 'target', 'none'];
+
+// 'none'  - field order, then Tableau's row order for detail members
+// 'value' - largest current value first
+// 'delta' - largest relative change against the first comparison first
+// 'alpha' - detail member (or metric) name A-Z
+export const CARD_SORTS = ['none', 'value', 'delta', 'alpha'];
+
+// 'metric' - each metric's cards together (Sales - East, Sales - West, Profit - East, ...)
+// 'detail' - each detail member's cards together (Sales - East, Profit - East, Sales - West, ...)
+export const CARD_GROUPINGS = ['metric', 'detail'];
+
+// 'percent'  - band is a share of the reference value (2 = within ±2%)
+// 'absolute' - band is in the metric's units (percentage points for percentage metrics)
+export const NEUTRAL_MODES = ['percent', 'absolute'];
+
+// 'select' - select the matching marks on the worksheet (drives dashboard actions)
+// 'filter' - filter the worksheet to the clicked member / brushed dates
+// 'none'   - cards and charts are read-only
+export const CLICK_ACTIONS = ['none', 'select', 'filter'];
+
+// Comparison ids. Labels live in the message catalog (comparison.<id>.label/title/header);
+// main.js adds the range function for each id.
+export const COMPARISON_IDS = ['prevYear', 'prevMonth', 'prevQuarter', 'prevWeek', 'prevPeriod', 'prevYearWeekday', 'custom'];
+
+// Controls that can follow a workbook parameter, with the parameter data types that
+// fit each one. The anchor date binding is stored as anchorMode 'parameter' instead.
+export const PARAMETER_BINDINGS = {
+  period: { dataTypes: ['string'] },
+  granularity: { dataTypes: ['string'] },
+  rollingCount: { dataTypes: ['int', 'float'] }
+};
+
+// Read the parameter bindings, dropping unknown controls and empty names
+export function readParameterBindings(settings) {
+  let saved = {};
+  try {
+    saved = JSON.parse(settings?.get(SETTINGS_KEYS.parameterBindings) || '{}') || {};
+  } catch (e) {
+    saved = {};
+  }
+
+  const bindings = {};
+  Object.keys(PARAMETER_BINDINGS).forEach(key => {
+    if (typeof saved[key] === 'string' && saved[key]) {
+      bindings[key] = saved[key];
+    }
+  });
+  return bindings;
+}
+
+// Read the display settings, falling back to defaults for missing or malformed values
+export function readDisplaySettings(settings) {
+  let saved = {};
+  try {
+    saved = JSON.parse(settings?.get(SETTINGS_KEYS.display) || '{}') || {};
+  } catch (e) {
+    saved = {};
+  }
+
+  const display = { ...DISPLAY_DEFAULTS };
+  Object.keys(DISPLAY_DEFAULTS).forEach(key => {
+    if (saved[key] !== undefined && typeof saved[key] === typeof DISPLAY_DEFAULTS[key]) {
+      display[key] = saved[key];
+    }
+  });
+  display.decimals = Math.max(0, Math.min(3, parseInt(display.decimals) || 0));
+  if (!CLICK_ACTIONS.includes(display.clickAction)) display.clickAction = DISPLAY_DEFAULTS.clickAction;
+  if (!NEGATIVE_STYLES.includes(display.negativeStyle)) display.negativeStyle = DISPLAY_DEFAULTS.negativeStyle;
+  if (!NEUTRAL_MODES.includes(display.neutralMode)) display.neutralMode = DISPLAY_DEFAULTS.neutralMode;
+  if (!(display.neutralThreshold >= 0)) display.neutralThreshold = DISPLAY_DEFAULTS.neutralThreshold;
+  if (!CARD_LAYOUTS.includes(display.layout)) display.layout = DISPLAY_DEFAULTS.layout;
+  display.fiscalStartMonth = Math.max(0, Math.min(11, parseInt(display.fiscalStartMonth) || 0));
+  if (!CALENDAR_TYPES.includes(display.fiscalCalendar)) display.fiscalCalendar = DISPLAY_DEFAULTS.fiscalCalendar;
+  if (!FORECAST_METHODS.includes(display.forecast)) display.forecast = DISPLAY_DEFAULTS.forecast;
+  if (!INCOMPLETE_POLICIES.includes(display.incompletePeriods)) display.incompletePeriods = DISPLAY_DEFAULTS.incompletePeriods;
+  if (!YOY_ALIGNMENTS.includes(display.yoyAlignment)) display.yoyAlignment = DISPLAY_DEFAULTS.yoyAlignment;
+  if (!CHART_REFERENCES.includes(display.chartReference)) display.chartReference = DISPLAY_DEFAULTS.chartReference;
+  if (!CHART_REFERENCES.includes(display.chartReference2)) display.chartReference2 = DISPLAY_DEFAULTS.chartReference2;
+  if (!CARD_SORTS.includes(display.cardSort)) display.cardSort = DISPLAY_DEFAULTS.cardSort;
+  if (!CARD_GROUPINGS.includes(display.cardGrouping)) display.cardGrouping = DISPLAY_DEFAULTS.cardGrouping;
+  display.detailLimit = Math.max(0, Math.min(100, parseInt(display.detailLimit) || 0));
+  if (display.columns !== 'auto' && !(parseInt(display.columns) >= 1)) display.columns = DISPLAY_DEFAULTS.columns;
+  if (!THEMES.includes(display.theme)) display.theme = DISPLAY_DEFAULTS.theme;
+  ['themeBackground', 'themeText', 'themeReference'].forEach(key => {
+    if (!/^#[0-9a-fA-F]{6}$/.test(display[key])) display[key] = '';
+  });
+  if (display.language !== 'auto' && !LANGUAGES.includes(display.language)) display.language = DISPLAY_DEFAULTS.language;
+  display.currency = /^[A-Za-z]{3}$/.test(display.currency) ? display.currency.toUpperCase() : '';
+  return display;
+}
+
+// Read the per-metric format overrides: { [field]: { format, decimals, compact } }.
+// Missing keys fall back to the display settings.
+export function readMetricFormats(settings) {
+  let saved = {};
+  try {
+    saved = JSON.parse(settings?.get(SETTINGS_KEYS.metricFormats) || '{}') || {};
+  } catch (e) {
+    saved = {};
+  }
+
+  const formats = {};
+  Object.entries(saved).forEach(([field, override]) => {
+    if (!override || typeof override !== 'object') return;
+    const clean = {};
+    if (VALUE_FORMATS.includes(override.format)) clean.format = override.format;
+    if (Number.isInteger(override.decimals) && override.decimals >= 0 && override.decimals <= 3) clean.decimals = override.decimals;
+    if (typeof override.compact === 'boolean') clean.compact = override.compact;
+    if (Object.keys(clean).length > 0) formats[field] = clean;
+  });
+  return formats;
+}
+
+// Read the per-metric neutral bands: { [field]: { mode, value } }.
+// Missing keys fall back to the display settings.
+export function readNeutralBands(settings) {
+  let saved = {};
+  try {
+    saved = JSON.parse(settings?.get(SETTINGS_KEYS.neutralBands) || '{}') || {};
+  } catch (e) {
+    saved = {};
+  }
+
+  const bands = {};
+  Object.entries(saved).forEach(([field, override]) => {
+    if (!override || typeof override !== 'object') return;
+    const clean = {};
+    if (NEUTRAL_MODES.includes(override.mode)) clean.mode = override.mode;
+    if (typeof override.value === 'number' && override.value >= 0) clean.value = override.value;
+    if (Object.keys(clean).length > 0) bands[field] = clean;
+  });
+  return bands;
+}
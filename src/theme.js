@@ -0,0 +1,120 @@
+import * as d3 from 'd3';
+
+// -------------------- Theme --------------------
+// Colors and fonts are CSS custom properties (see :root in style.css). The light and dark
+// palettes live in the stylesheet, selected with <html data-theme>; the custom palette and
+// the workbook's own formatting are written as inline properties on <html> on top of them.
+//   'auto'   - light palette, adapted to the workbook's font, text and background colors
+//   'light'  - built-in light palette
+//   'dark'   - built-in dark palette
+//   'custom' - palette derived from the author's background, text and reference colors
+
+export const THEMES = ['auto', 'light', 'dark', 'custom'];
+
+// Inline properties this module may set, so switching themes can clear them
+const THEME_PROPERTIES = [
+  '--font-family', '--tooltip-font-family',
+  '--bg-color', '--surface-color', '--surface-muted', '--surface-hover', '--input-bg', '--controls-bg',
+  '--text-primary', '--text-secondary', '--text-muted', '--neutral-color', '--border-color', '--border-strong',
+  '--chart-neutral', '--chart-reference', '--chart-reference-line', '--chart-axis', '--chart-active',
+  '--skeleton-color', '--skeleton-highlight'
+];
+
+// Font and colors from Tableau's workbook formatting (Extensions API 1.10+). Only set
+// entries are returned; older Tableau versions expose nothing.
+export function readWorkbookFormatting(environment) {
+  const sheets = environment?.workbookFormatting?.formattingSheets || [];
+  const find = key => sheets.find(sheet => sheet.classNameKey === key)?.cssProperties || {};
+  const worksheet = find('tableau-worksheet');
+  const tooltip = find('tableau-tooltip');
+
+  const formatting = {};
+  if (worksheet.fontFamily) formatting.fontFamily = worksheet.fontFamily;
+  if (worksheet.color) formatting.text = worksheet.color;
+  if (worksheet.backgroundColor) formatting.background = worksheet.backgroundColor;
+  if (tooltip.fontFamily) formatting.tooltipFontFamily = tooltip.fontFamily;
+  return formatting;
+}
+
+// Parse a CSS color, ignoring empty and fully transparent values
+function parseColor(value) {
+  const color = value ? d3.color(value) : null;
+  return color && color.opacity > 0 ? color : null;
+}
+
+function isDarkColor(color) {
+  const { r, g, b } = color.rgb();
+  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255 < 0.5;
+}
+
+// Full palette from a background and a text color: every other shade is a blend of the two
+function derivePalette(background, text, reference) {
+  const mix = amount => d3.interpolateRgb(background, text)(amount);
+  const controls = d3.color(background.formatHex());
+  controls.opacity = 0.9;
+
+  return {
+    '--bg-color': background.formatHex(),
+    '--surface-color': background.formatHex(),
+    '--surface-muted': mix(0.06),
+    '--surface-hover': mix(0.12),
+    '--input-bg': mix(0.03),
+    '--controls-bg': controls.formatRgb(),
+    '--text-primary': text.formatHex(),
+    '--text-secondary': mix(0.6),
+    '--text-muted': mix(0.45),
+    '--neutral-color': mix(0.6),
+    '--border-color': mix(0.12),
+    '--border-strong': mix(0.2),
+    '--chart-neutral': mix(0.4),
+    '--chart-reference': reference ? reference.formatHex() : mix(0.12),
+    '--chart-reference-line': reference ? reference.formatHex() : mix(0.25),
+    '--chart-axis': mix(0.45),
+    '--chart-active': text.formatHex(),
+    '--skeleton-color': mix(0.12),
+    '--skeleton-highlight': mix(0.35)
+  };
+}
+
+// Quote a font family name from the workbook ("Benton Sans") unless it already is
+function quoteFont(name) {
+  return /^['"]/.test(name) ? name : `"${name}"`;
+}
+
+// Resolve the theme to a base palette ('light' | 'dark') plus inline property overrides
+export function resolveTheme(display, formatting = {}) {
+  if (display.theme === 'light' || display.theme === 'dark') {
+    return { base: display.theme, properties: {} };
+  }
+
+  if (display.theme === 'custom') {
+    const background = parseColor(display.themeBackground) || d3.color('#ffffff');
+    const base = isDarkColor(background) ? 'dark' : 'light';
+    const text = parseColor(display.themeText) || d3.color(base === 'dark' ? '#f9fafb' : '#111827');
+    return { base, properties: derivePalette(background, text, parseColor(display.themeReference)) };
+  }
+
+  // 'auto': follow the workbook
+  const properties = {};
+  let base = 'light';
+  const background = parseColor(formatting.background);
+  const text = parseColor(formatting.text);
+  if (background) {
+    base = isDarkColor(background) ? 'dark' : 'light';
+    const fallbackText = d3.color(base === 'dark' ? '#f9fafb' : '#111827');
+    Object.assign(properties, derivePalette(background, text || fallbackText, null));
+  } else if (text) {
+    properties['--text-primary'] = text.formatHex();
+  }
+  if (formatting.fontFamily) properties['--font-family'] = `${quoteFont(formatting.fontFamily)}, 'Inter', sans-serif`;
+  if (formatting.tooltipFontFamily) properties['--tooltip-font-family'] = `${quoteFont(formatting.tooltipFontFamily)}, sans-serif`;
+  return { base, properties };
+}
+
+// Write the resolved theme to the document root
+export function applyTheme(root, display, formatting = {}) {
+  const { base, properties } = resolveTheme(display, formatting);
+  THEME_PROPERTIES.forEach(name => root.style.removeProperty(name));
+  Object.entries(properties).forEach(([name, value]) => root.style.setProperty(name, value));
+  root.dataset.theme = base;
+}
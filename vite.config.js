@@ -1,8 +1,15 @@
 import { defineConfig } from 'vite'
+import { resolve } from 'path'
 
 export default defineConfig({
     base: '/tableau_kpi_card/', // Base URL for GitHub Pages
     build: {
         outDir: 'dist',
+        rollupOptions: {
+            input: {
+                main: resolve(__dirname, 'index.html'),
+                config: resolve(__dirname, 'config.html') // Configure dialog
+            }
+        }
     }
 })